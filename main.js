@@ -1,5 +1,5 @@
 // main.js
-const { app, BrowserWindow } = require('electron');
+const { app, BrowserWindow, ipcMain } = require('electron');
 const path = require('path');
 
 
@@ -14,7 +14,16 @@ process.on('unhandledRejection', (reason, p) => {
 
 function startAgent() {
   const serverPath = path.join(app.getAppPath(), "server", "server.js");
+  // Journal and other agent state live in the per-user data folder, not inside the install dir
+  process.env.AGENT_DATA_DIR = process.env.AGENT_DATA_DIR || app.getPath('userData');
+  // Packaged builds cap debug output for non-admin callers (see DEBUG_LEVEL in server/config.js)
+  if (app.isPackaged) process.env.AGENT_PRODUCTION = '1';
   require(serverPath);
+
+  // The window's API key (read/sale/refund only) stays in the main process; the page asks for it through preload.js
+  const { createAuthStore } = require(path.join(app.getAppPath(), "server", "auth.js"));
+  const auth = createAuthStore(process.env.AGENT_DATA_DIR);
+  ipcMain.handle('agent:credential', () => auth.localKey().secret);
 }
 function createWindow () {
 
@@ -22,10 +31,10 @@ function createWindow () {
     width: 900,
     height: 680,
     webPreferences: {
-      // Renderer uses fetch to localhost:3000; no Node APIs needed
+      // Renderer uses fetch to localhost:3000; no Node APIs needed (API key comes via preload)
       contextIsolation: true,
       nodeIntegration: false,
-      preload: path.join(__dirname, 'preload.js') // keep for future
+      preload: path.join(__dirname, 'preload.js')
     }
   });
 
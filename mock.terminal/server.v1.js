@@ -14,6 +14,11 @@ const DATA_FILE   = path.join(__dirname, 'verifone-transactions.json');
 
 const STX = 0x02, LF = 0x0A, ETX = 0x03;
 
+// Amounts are summed in integer cents so batch/sale totals don't pick up float drift
+const toCents = (v) => Math.round(parseFloat(v || 0) * 100) || 0;
+const fromCents = (c) => (c / 100).toFixed(2);
+const sumCents = (txns) => txns.reduce((sum, t) => sum + toCents(t.amounts.totalAmount), 0);
+
 // Transaction States
 const TXN_STATUS = {
     PENDING: 'PENDING',
@@ -23,7 +28,9 @@ const TXN_STATUS = {
     SETTLED: 'SETTLED',
     REFUNDED: 'REFUNDED',
     PARTIAL_VOIDED: 'PARTIAL_VOIDED',
-    TIP_ADJUSTED: 'TIP_ADJUSTED'
+    TIP_ADJUSTED: 'TIP_ADJUSTED',
+    REVERSED: 'REVERSED',
+    COMPLETED: 'COMPLETED'
 };
 
 // Transaction Types
@@ -123,7 +130,13 @@ class TransactionStore {
         console.log(`Opened new batch: ${batchId}`);
     }
 
-    addTransaction(txn) {
+    // req (optional) is the ECR request that created the transaction; its requestId/invoiceNbr
+    // let a Status Inquiry find a transaction whose response the ECR never received
+    addTransaction(txn, req) {
+        if (req) {
+            txn.requestId = String(req.data?.requestId || '');
+            txn.invoiceNbr = req.data?.data?.transaction?.invoiceNbr || null;
+        }
         txn.id = `TXN${String(this.data.transactions.length + 1).padStart(8, '0')}`;
         txn.batchId = this.data.currentBatch.id;
         txn.createdAt = new Date().toISOString();
@@ -159,6 +172,13 @@ class TransactionStore {
             t.responseId === identifier);
     }
 
+    // Most recent transaction created by the given ECR requestId / invoice number
+    findByRequest({ requestId, invoiceNbr }) {
+        return [...this.data.transactions].reverse().find(t =>
+            (requestId && t.requestId === String(requestId)) ||
+            (invoiceNbr && t.invoiceNbr === String(invoiceNbr))) || null;
+    }
+
     getUnsettledTransactions() {
         return this.data.transactions.filter(t => 
             [TXN_STATUS.APPROVED, TXN_STATUS.TIP_ADJUSTED].includes(t.status) && 
@@ -176,7 +196,7 @@ class TransactionStore {
             closeTime: new Date().toISOString(),
             isOpen: false,
             settlementCount: unsettled.length,
-            totalAmount: unsettled.reduce((sum, txn) => sum + parseFloat(txn.amounts.totalAmount || 0), 0)
+            totalAmount: sumCents(unsettled) / 100
         };
 
         this.data.batches.push(closedBatch);
@@ -352,11 +372,12 @@ async function handleSale(sock, req) {
         const acq = resolveCardAcquisition(req);
         
         // Amount validation
-        const baseAmount = parseFloat(txn.baseAmount || txn.amount || "0.00");
-        const tip = parseFloat(txn.tipAmount || "0.00");
-        const tax = parseFloat(txn.taxAmount || "0.00");
-        const cashback = parseFloat(txn.cashbackAmount || "0.00");
-        const total = (baseAmount + tip + tax + cashback).toFixed(2);
+        const baseCents = toCents(txn.baseAmount || txn.amount);
+        const tipCents = toCents(txn.tipAmount);
+        const taxCents = toCents(txn.taxAmount);
+        const cashbackCents = toCents(txn.cashBackAmount ?? txn.cashbackAmount);
+        const baseAmount = baseCents / 100, tip = tipCents / 100, tax = taxCents / 100, cashback = cashbackCents / 100;
+        const total = fromCents(baseCents + tipCents + taxCents + cashbackCents);
 
         if (baseAmount <= 0) {
             return setTimeout(() => sendMsg(sock, {
@@ -420,7 +441,13 @@ async function handleSale(sock, req) {
         };
 
         // Save transaction
-        store.addTransaction(transaction);
+        store.addTransaction(transaction, req);
+
+        // Lost-response simulation: the sale is recorded but the reply never goes out
+        if (total === '13.13') {
+            console.log(`Dropping Sale response for ${transaction.tranNo} (lost-response test amount)`);
+            return;
+        }
 
         if (status === TXN_STATUS.DECLINED) {
             return setTimeout(() => sendMsg(sock, {
@@ -495,7 +522,7 @@ async function handleSale(sock, req) {
         // Add partial approval data
         if (partial) {
             response.data.partialApproval = "1";
-            response.data.balanceDue = (parseFloat(total) - parseFloat(authorized)).toFixed(2);
+            response.data.balanceDue = fromCents(toCents(total) - toCents(authorized));
             response.data.remainingBalance = response.data.balanceDue;
         }
 
@@ -568,7 +595,7 @@ async function handleVoid(sock, req) {
         cardType: originalTxn.cardType
     };
 
-    store.addTransaction(voidTxn);
+    store.addTransaction(voidTxn, req);
 
     const response = {
         EcrId: String(req.data?.EcrId || ECR_ID),
@@ -610,6 +637,65 @@ async function handleVoid(sock, req) {
     setTimeout(() => sock.write(frame({ message: "MSG", data: response.data, response: "Void" })), 200);
 }
 
+// Timeout reversal: undoes a transaction whose response the ECR never received, looked up by the
+// requestId / invoiceNbr it was sent with. Repeating it is harmless; an unknown transaction
+// answers TXN001 so the ECR knows nothing was charged.
+async function handleReversal(sock, req) {
+    sendAck(sock);
+
+    const t = req.data?.data?.transaction || {};
+    const head = {
+        requestId: String(req.data?.requestId || ''),
+        EcrId: String(req.data?.EcrId || ECR_ID)
+    };
+
+    if (!t.requestId && !t.invoiceNbr && !t.referenceNumber && !t.tranNo) {
+        return setTimeout(() => sendMsg(sock, head, "Reversal", resultFailed("REQ001", "MISSING TRANSACTION IDENTIFIER")), 150);
+    }
+
+    const originalTxn = (t.referenceNumber || t.tranNo)
+        ? store.findTransaction(t.referenceNumber || t.tranNo)
+        : store.findByRequest(t);
+
+    if (!originalTxn) {
+        return setTimeout(() => sendMsg(sock, head, "Reversal", resultFailed("TXN001", "TRANSACTION NOT FOUND")), 150);
+    }
+
+    if (originalTxn.status === TXN_STATUS.SETTLED) {
+        return setTimeout(() => sendMsg(sock, head, "Reversal", resultFailed("REV001", "CANNOT REVERSE SETTLED TRANSACTION")), 150);
+    }
+
+    if ([TXN_STATUS.APPROVED, TXN_STATUS.TIP_ADJUSTED, TXN_STATUS.PENDING].includes(originalTxn.status)) {
+        store.updateTransaction(originalTxn.id, { status: TXN_STATUS.REVERSED });
+
+        const ids = store.generateIds();
+        store.addTransaction({
+            tranNo: ids.tranNo,
+            referenceNumber: ids.referenceNumber,
+            responseId: ids.responseId,
+            type: TXN_TYPES.REVERSAL,
+            status: TXN_STATUS.APPROVED,
+            originalTransaction: originalTxn.id,
+            originalReferenceNumber: originalTxn.referenceNumber,
+            amounts: { ...originalTxn.amounts },
+            maskedPAN: originalTxn.maskedPAN,
+            cardType: originalTxn.cardType
+        }); // no req: lookups by requestId / invoiceNbr must keep finding the original
+    }
+
+    // Declined / voided / already reversed: nothing left to undo, report where it stands
+    setTimeout(() => sendMsg(sock, {
+        ...head,
+        transaction: {
+            tranNo: originalTxn.tranNo,
+            referenceNumber: originalTxn.referenceNumber,
+            type: originalTxn.type,
+            status: originalTxn.status,
+            amount: originalTxn.amounts.totalAmount
+        }
+    }, "Reversal", resultSuccess()), 200);
+}
+
 // Enhanced EOD/Batch Close with detailed reporting
 async function handleBatchClose(sock, req) {
     sendAck(sock);
@@ -625,10 +711,10 @@ async function handleBatchClose(sock, req) {
             t.type === TXN_TYPES.VOID && t.batchId === closedBatch.id);
 
         const salesCount = salesTxns.length;
-        const salesAmount = salesTxns.reduce((sum, t) => sum + parseFloat(t.amounts.totalAmount || 0), 0);
+        const salesAmount = sumCents(salesTxns) / 100;
         const refundCount = refundTxns.length;
-        const refundAmount = refundTxns.reduce((sum, t) => sum + parseFloat(t.amounts.totalAmount || 0), 0);
-        const netAmount = salesAmount - refundAmount;
+        const refundAmount = sumCents(refundTxns) / 100;
+        const netAmount = (sumCents(salesTxns) - sumCents(refundTxns)) / 100;
 
         const response = {
             EcrId: String(req.data?.EcrId || ECR_ID),
@@ -657,15 +743,15 @@ async function handleBatchClose(sock, req) {
                 cardTypeSummary: Object.entries(
                     unsettledTxns.reduce((acc, txn) => {
                         const cardType = txn.cardType || 'Unknown';
-                        if (!acc[cardType]) acc[cardType] = { count: 0, amount: 0 };
+                        if (!acc[cardType]) acc[cardType] = { count: 0, cents: 0 };
                         acc[cardType].count++;
-                        acc[cardType].amount += parseFloat(txn.amounts.totalAmount || 0);
+                        acc[cardType].cents += toCents(txn.amounts.totalAmount);
                         return acc;
                     }, {})
                 ).map(([type, data]) => ({
                     cardType: type,
                     count: data.count,
-                    amount: data.amount.toFixed(2)
+                    amount: fromCents(data.cents)
                 })),
 
                 newBatchNumber: store.data.currentBatch.id
@@ -710,9 +796,7 @@ async function handleTipAdjust(sock, req) {
     }
 
     // Update amounts
-    const baseAmount = parseFloat(originalTxn.amounts.baseAmount || 0);
-    const tax = parseFloat(originalTxn.amounts.taxAmount || 0);
-    const newTotal = (baseAmount + tax + tipAmount).toFixed(2);
+    const newTotal = fromCents(toCents(originalTxn.amounts.baseAmount) + toCents(originalTxn.amounts.taxAmount) + toCents(tipAmount));
 
     // Update transaction
     store.updateTransaction(originalTxn.id, {
@@ -837,7 +921,7 @@ async function handleRefund(sock, req) {
             }
         };
 
-        store.addTransaction(refundTxn);
+        store.addTransaction(refundTxn, req);
 
         const response = {
             EcrId: String(req.data?.EcrId || ECR_ID),
@@ -912,6 +996,11 @@ async function handlePreAuth(sock, req) {
             }, "PreAuth", resultFailed("AMT001", "INVALID AUTHORIZATION AMOUNT")), 200);
         }
 
+        // Incremental authorization: raises the hold on an open PreAuth (lodging stay extended, ...)
+        if (txn.referenceNumber || txn.preAuthAmount) {
+            return handleIncrementalAuth(sock, req, parseFloat(txn.preAuthAmount || authAmount));
+        }
+
         const acq = resolveCardAcquisition(req);
         const pan = params.cardPAN || params.pan || "4761739001010010";
         const cardType = detectCardType(pan);
@@ -945,7 +1034,7 @@ async function handlePreAuth(sock, req) {
             }
         };
 
-        store.addTransaction(preAuthTxn);
+        store.addTransaction(preAuthTxn, req);
 
         const response = {
             EcrId: String(req.data?.EcrId || ECR_ID),
@@ -1006,6 +1095,104 @@ async function handlePreAuth(sock, req) {
     }
 }
 
+// Open (not yet completed) PreAuth by referenceNumber / tranNo, or a failed cmdResult explaining why not
+function findOpenPreAuth(t) {
+    const original = store.findTransaction(t.referenceNumber || t.tranNo);
+    if (!original || original.type !== TXN_TYPES.PREAUTH) return { error: resultFailed("TRAN009", "PREAUTH NOT FOUND") };
+    if (original.status !== TXN_STATUS.APPROVED) return { error: resultFailed("TRAN010", `PREAUTH ${original.status}`) };
+    return { original };
+}
+
+function handleIncrementalAuth(sock, req, increment) {
+    const ids = { requestId: String(req.data?.requestId || ''), EcrId: String(req.data?.EcrId || ECR_ID) };
+    const { original, error } = findOpenPreAuth(req.data?.data?.transaction || {});
+    if (error) return setTimeout(() => sendMsg(sock, ids, "PreAuth", error), 150);
+
+    const total = fromCents(toCents(original.amounts.authAmount) + toCents(increment));
+    store.updateTransaction(original.id, { amounts: { ...original.amounts, authAmount: total, totalAmount: total } });
+    const gen = store.generateIds();
+
+    setTimeout(() => sendMsg(sock, {
+        ...ids,
+        multipleMessage: "0",
+        host: {
+            approvalCode: gen.approvalCode,
+            amount: increment.toFixed(2),
+            authorizedAmount: increment.toFixed(2),
+            totalAuthorizedAmount: total,
+            referenceNumber: original.referenceNumber,
+            tranNo: original.tranNo,
+            responseId: gen.responseId,
+            responseText: "INCREMENTAL AUTH APPROVED",
+            responseCode: "00"
+        },
+        payment: { transactionType: "INCREMENTAL AUTH", cardType: original.cardType, maskedPAN: original.maskedPAN },
+        transaction: { authAmount: total }
+    }, "PreAuth", resultSuccess()), 250);
+}
+
+// Auth Completion (close tab / lodging check-out): captures an open PreAuth for the final amount
+async function handleAuthCompletion(sock, req) {
+    sendAck(sock);
+
+    const ids = { requestId: String(req.data?.requestId || ''), EcrId: String(req.data?.EcrId || ECR_ID) };
+    const data = req.data?.data || {};
+    const t = data.transaction || {};
+    const lodging = data.lodging || {};
+    const { original, error } = findOpenPreAuth(t);
+    if (error) return setTimeout(() => sendMsg(sock, ids, "AuthCompletion", error), 150);
+
+    const amount = parseFloat(t.amount || "0.00");
+    const tip = parseFloat(t.tipAmount || "0.00");
+    const total = fromCents(toCents(amount) + toCents(tip));
+    const gen = store.generateIds();
+
+    store.updateTransaction(original.id, { status: TXN_STATUS.COMPLETED });
+    store.addTransaction({
+        tranNo: gen.tranNo,
+        referenceNumber: gen.referenceNumber,
+        responseId: gen.responseId,
+        approvalCode: original.approvalCode,
+        type: TXN_TYPES.CAPTURE,
+        status: TXN_STATUS.APPROVED,
+        originalTransaction: original.id,
+        cardType: original.cardType,
+        maskedPAN: original.maskedPAN,
+        amounts: { baseAmount: amount.toFixed(2), tipAmount: tip.toFixed(2), totalAmount: total },
+        metadata: {
+            lodging: lodging.folioNumber ? {
+                folioNumber: lodging.folioNumber,
+                extraChargeTypes: lodging.extraChargeTypes || null,
+                extraChargeTotal: lodging.extraChargeTotal || null,
+                noShow: lodging.noShow || "0"
+            } : null
+        }
+    }, req);
+
+    setTimeout(() => sendMsg(sock, {
+        ...ids,
+        multipleMessage: "0",
+        host: {
+            approvalCode: original.approvalCode,
+            amount: total,
+            authorizedAmount: total,
+            originalAuthAmount: original.amounts.authAmount,
+            referenceNumber: gen.referenceNumber,
+            tranNo: gen.tranNo,
+            responseId: gen.responseId,
+            responseText: "COMPLETION APPROVED",
+            responseCode: "00"
+        },
+        payment: {
+            transactionType: lodging.folioNumber ? "LODGING COMPLETION" : "COMPLETION",
+            cardType: original.cardType,
+            maskedPAN: original.maskedPAN
+        },
+        transaction: { baseAmount: amount.toFixed(2), tipAmount: tip.toFixed(2), totalAmount: total },
+        ...(lodging.folioNumber ? { lodging } : {})
+    }, "AuthCompletion", resultSuccess()), 250);
+}
+
 // Transaction Status Inquiry
 async function handleStatusInquiry(sock, req) {
     sendAck(sock);
@@ -1013,14 +1200,14 @@ async function handleStatusInquiry(sock, req) {
     const t = req.data?.data?.transaction || {};
     const identifier = t.referenceNumber || t.tranNo || t.responseId;
 
-    if (!identifier) {
+    if (!identifier && !t.requestId && !t.invoiceNbr) {
         return setTimeout(() => sendMsg(sock, {
             requestId: String(req.data?.requestId || ''),
             EcrId: String(req.data?.EcrId || ECR_ID)
         }, "StatusInquiry", resultFailed("REQ001", "MISSING TRANSACTION IDENTIFIER")), 150);
     }
 
-    const txn = store.findTransaction(identifier);
+    const txn = identifier ? store.findTransaction(identifier) : store.findByRequest(t);
 
     if (!txn) {
         return setTimeout(() => sendMsg(sock, {
@@ -1038,6 +1225,9 @@ async function handleStatusInquiry(sock, req) {
                 tranNo: txn.tranNo,
                 referenceNumber: txn.referenceNumber,
                 responseId: txn.responseId,
+                requestId: txn.requestId,
+                invoiceNbr: txn.invoiceNbr,
+                approvalCode: txn.approvalCode,
                 type: txn.type,
                 status: txn.status,
                 amount: txn.amounts.totalAmount,
@@ -1071,7 +1261,7 @@ async function handleBatchInquiry(sock, req) {
                 isOpen: currentBatch.isOpen,
                 openTime: currentBatch.openTime,
                 transactionCount: unsettledTxns.length,
-                totalAmount: unsettledTxns.reduce((sum, t) => sum + parseFloat(t.amounts.totalAmount || 0), 0).toFixed(2)
+                totalAmount: fromCents(sumCents(unsettledTxns))
             },
             statistics: stats,
             recentBatches: store.data.batches.slice(-5).map(batch => ({
@@ -1197,17 +1387,23 @@ function resolveCardAcquisition(req) {
     return (mode || 'INSERT').toUpperCase();
 }
 
+// Test card data: address/ZIP 76321, CVV 321. When the ECR sends no card number the card was keyed
+// on the terminal, and the simulated clerk types the right CVV there.
+const AVS_TEXT = { Y: 'Address & ZIP match', A: 'Address match, ZIP no match', Z: 'ZIP match, address no match', N: 'No match', 0: 'AVS Not Requested.' };
+
 function mockAvsCvv(params) {
-    const addr = params?.avsAddress || params?.address || '';
-    const zip = params?.avsZip || params?.zip || '';
-    const cvv = params?.cvv || params?.cvv2 || params?.cardSecurityCode || '';
-    
-    const AvsResultCode = (addr === '76321' && zip === '76321') ? 'Y' : '0';
+    const addr = String(params?.avsAddress || params?.address || '');
+    const zip = String(params?.avsZip || params?.zip || '');
+    const keyedOnTerminal = !(params?.cardPAN || params?.pan);
+    const cvv = String(params?.cvv || params?.cvv2 || params?.cardSecurityCode || (keyedOnTerminal ? '321' : ''));
+
+    const addrOk = addr === '76321', zipOk = zip === '76321';
+    const AvsResultCode = !addr && !zip ? '0' : addrOk && zipOk ? 'Y' : addrOk ? 'A' : zipOk ? 'Z' : 'N';
     const CvvResultCode = (cvv === '321') ? 'M' : 'N';
     
     return {
         AvsResultCode,
-        AvsResultText: AvsResultCode === 'Y' ? 'Address & ZIP match' : 'AVS Not Requested.',
+        AvsResultText: AVS_TEXT[AvsResultCode],
         CvvResultCode,
         CvvResultText: CvvResultCode === 'M' ? 'CVV Match' : 'CVV No Match'
     };
@@ -1241,6 +1437,10 @@ async function route(sock, obj) {
             case 'PreAuthorization':
                 return handlePreAuth(sock, obj);
             
+            case 'AuthCompletion':
+            case 'PreAuthCompletion':
+                return handleAuthCompletion(sock, obj);
+
             case 'TipAdjust':
             case 'TipAdjustment':
                 return handleTipAdjust(sock, obj);
@@ -1252,6 +1452,10 @@ async function route(sock, obj) {
             case 'Refund':
             case 'CreditRefund':
                 return handleRefund(sock, obj);
+
+            case 'Reversal':
+            case 'TimeoutReversal':
+                return handleReversal(sock, obj);
             
             case 'EOD':
             case 'EODProcessing':
@@ -4,5 +4,9 @@
 // window.addEventListener('DOMContentLoaded', () => {});
 
 
-const { contextBridge } = require('electron');
-contextBridge.exposeInMainWorld('agent', { version: '1.0' });
+const { contextBridge, ipcRenderer } = require('electron');
+contextBridge.exposeInMainWorld('agent', {
+  version: '1.0',
+  // The window's API key for the local agent (no admin scope), fetched from the main process on demand
+  credential: () => ipcRenderer.invoke('agent:credential'),
+});
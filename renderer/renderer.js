@@ -9,31 +9,58 @@ function log(line = '') {
 }
 function reset(msg = 'Running…') { logArea.textContent = msg; }
 
+// Selected terminal from the picker, or the custom IP/Port/ECR ID fields
 function baseConn() {
+  const terminalId = $('terminal').value;
+  if (terminalId) return { terminalId };
   const ip   = $('ip').value.trim();
   const port = Number($('port').value.trim());
   const ecr  = $('ecr').value.trim();
-  return { ip, port, ecrId: ecr };
+  const altPort = $('altPort').value.trim();
+  return { ip, port, ecrId: ecr, ...(altPort ? { altPort: Number(altPort) } : {}) };
 }
+const connQuery = () => new URLSearchParams(baseConn()).toString();
+
+// Agent answers declines/terminal errors with 4xx/5xx *and* a JSON body; only throw when there is no body
+async function readJSON(r) {
+  const data = await r.json().catch(() => null);
+  if (data == null) throw new Error(`${r.status} ${r.statusText}`);
+  return data;
+}
+
+// The agent requires an API key; the main process hands it over through the preload bridge
+const credential = window.agent && window.agent.credential ? window.agent.credential() : Promise.resolve('');
+const authHeaders = async (extra = {}) => ({ ...extra, 'X-Api-Key': await credential });
 
 async function getJSON(url) {
-  const r = await fetch(url);
-  if (!r.ok) throw new Error(`${r.status} ${r.statusText}`);
-  return r.json();
+  const r = await fetch(url, { headers: await authHeaders() });
+  return readJSON(r);
 }
 
-async function postJSON(path, body) {
+async function postJSON(path, body, method = 'POST') {
   const r = await fetch(`http://localhost:3000${path}`, {
-    method: 'POST',
-    headers: { 'Content-Type': 'application/json' },
+    method,
+    headers: await authHeaders({ 'Content-Type': 'application/json' }),
     body: JSON.stringify(body)
   });
-  if (!r.ok) throw new Error(`${r.status} ${r.statusText}`);
-  return r.json();
+  return readJSON(r);
 }
 
 function renderResult(title, data) {
   log(`\n== ${title} RESULT ==`);
+  if (data && data.result && data.result.outcome) {
+    const r = data.result;
+    log(`Outcome: ${r.outcome.toUpperCase()}` + (r.errorMessage ? ` – ${r.errorMessage}` : '') +
+      (r.tranNo ? ` | tranNo ${r.tranNo}` : '') + (r.referenceNumber ? ` | ref ${r.referenceNumber}` : '') +
+      (r.amounts && r.amounts.authorized ? ` | authorized ${r.amounts.authorized}` : ''));
+    const v = r.verification;
+    if (v && (v.avsCode || v.cvvCode)) {
+      log(`AVS: ${v.avsCode || '-'}${v.avsText ? ` (${v.avsText})` : ''} | CVV: ${v.cvvCode || '-'}${v.cvvText ? ` (${v.cvvText})` : ''}`);
+    }
+  }
+  if (data && data.autoVoid) {
+    log(`Auto-void ${data.autoVoid.state}: ${data.autoVoid.reasons.join('; ')}` + (data.autoVoid.error ? ` – ${data.autoVoid.error}` : ''));
+  }
   log(JSON.stringify(data, null, 2));
   if (data && data.log) {
     log('\n--- Debug log ---');
@@ -44,22 +71,377 @@ function renderResult(title, data) {
   }
 }
 
+/* -------- Manager override -------- */
+
+const currentClerk = () => $('clerkId').value.trim();
+
+// Shows the override box and resolves with { clerkId, pin } from the supervisor, or null on cancel
+function askManagerOverride(reason) {
+  return new Promise((resolve) => {
+    $('overrideReason').textContent = reason;
+    $('overrideManager').value = '';
+    $('overridePin').value = '';
+    $('overrideBox').style.display = '';
+    $('overrideManager').focus();
+    const done = (value) => {
+      $('overrideBox').style.display = 'none';
+      $('overridePin').value = '';
+      $('btnOverrideOk').onclick = $('btnOverrideCancel').onclick = null;
+      resolve(value);
+    };
+    $('btnOverrideOk').onclick = () => done({ clerkId: $('overrideManager').value.trim(), pin: $('overridePin').value });
+    $('btnOverrideCancel').onclick = () => done(null);
+  });
+}
+
+// Restricted actions (refund, void, batch close) come back MANAGER_REQUIRED; resend once with the approval
+async function postWithOverride(path, body) {
+  const data = await postJSON(path, body);
+  if (!data || data.error !== 'MANAGER_REQUIRED') return data;
+  log(`Manager approval needed: ${data.message}`);
+  const override = await askManagerOverride(data.message);
+  if (!override) return data;
+  return postJSON(path, { ...body, override });
+}
+
+/* -------- Administrator key -------- */
+
+// The window's own key can read, sell and refund. Changing settings or the terminal registry asks for
+// the administrator key (api-keys.json in the agent's data folder), kept in memory for this session only.
+let adminSecret = null;
+
+function askAdminKey(reason) {
+  return new Promise((resolve) => {
+    $('adminKeyReason').textContent = reason;
+    $('adminKeyInput').value = '';
+    $('adminKeyBox').style.display = '';
+    $('adminKeyInput').focus();
+    const done = (value) => {
+      $('adminKeyBox').style.display = 'none';
+      $('adminKeyInput').value = '';
+      $('btnAdminKeyOk').onclick = $('btnAdminKeyCancel').onclick = null;
+      resolve(value);
+    };
+    $('btnAdminKeyOk').onclick = () => done($('adminKeyInput').value.trim() || null);
+    $('btnAdminKeyCancel').onclick = () => done(null);
+  });
+}
+
+async function adminJSON(path, body, method = 'POST') {
+  for (;;) {
+    const headers = { 'X-Api-Key': adminSecret || await credential };
+    if (body !== undefined) headers['Content-Type'] = 'application/json';
+    const r = await fetch(`http://localhost:3000${path}`, { method, headers, body: body === undefined ? undefined : JSON.stringify(body) });
+    const data = await readJSON(r);
+    if (data.error !== 'FORBIDDEN' && data.error !== 'UNAUTHORIZED') return data;
+    adminSecret = null; // wrong or revoked key: ask again
+    const secret = await askAdminKey(data.error === 'FORBIDDEN' ? 'This needs the administrator key.' : `Administrator key rejected: ${data.message}`);
+    if (!secret) return data;
+    adminSecret = secret;
+  }
+}
+
+/* -------- Terminal picker -------- */
+
+function toggleCustomConn() {
+  const custom = !$('terminal').value;
+  document.querySelectorAll('.custom-conn').forEach(el => { el.style.display = custom ? '' : 'none'; });
+  localStorage.setItem('terminalId', $('terminal').value);
+}
+
+async function loadTerminals(selectId = localStorage.getItem('terminalId') || '') {
+  const picker = $('terminal');
+  try {
+    const { terminals } = await getJSON('http://localhost:3000/terminals');
+    picker.innerHTML = '<option value="">Custom (IP / Port below)</option>';
+    for (const t of terminals) {
+      const opt = document.createElement('option');
+      opt.value = t.id;
+      opt.textContent = `${t.label} (${t.ip}:${t.primaryPort}, ECR ${t.ecrId})`;
+      picker.appendChild(opt);
+    }
+    picker.value = terminals.some(t => t.id === selectId) ? selectId : '';
+  } catch (e) { log('ERROR loading terminals: ' + e.message); }
+  toggleCustomConn();
+}
+
+$('terminal').addEventListener('change', toggleCustomConn);
+
+$('btnSaveTerminal').addEventListener('click', async () => {
+  reset();
+  const label = $('termLabel').value.trim();
+  const body = { label, ip: $('ip').value.trim(), primaryPort: Number($('port').value.trim()), altPort: $('altPort').value.trim(), ecrId: $('ecr').value.trim() };
+  try {
+    const data = await adminJSON('/terminals', body);
+    renderResult('Save Terminal', data);
+    await loadTerminals(data.terminal.id);
+  } catch (e) { log('ERROR: ' + e.message); }
+});
+
+$('btnRemoveTerminal').addEventListener('click', async () => {
+  reset();
+  const id = $('terminal').value;
+  if (!id) return log('Select a saved terminal to remove.');
+  try {
+    const data = await adminJSON(`/terminals/${encodeURIComponent(id)}`, undefined, 'DELETE');
+    renderResult('Remove Terminal', data);
+    await loadTerminals('');
+  } catch (e) { log('ERROR: ' + e.message); }
+});
+
+loadTerminals();
+
+/* -------- Terminal health badges (background monitor) -------- */
+
+async function refreshBadges() {
+  try {
+    const { terminals } = await getJSON('http://localhost:3000/terminals/status');
+    const box = $('terminalBadges');
+    box.innerHTML = '';
+    for (const t of terminals) {
+      const b = document.createElement('span');
+      b.className = `badge ${t.status}`;
+      b.textContent = `${t.label || t.id}: ${t.status}${t.busy ? ' (busy)' : ''}`;
+      b.title = [`${t.ip}:${t.port}`, t.latencyMs != null ? `${t.latencyMs} ms` : '', t.error || '', t.lastCheckedAt ? `checked ${t.lastCheckedAt}` : ''].filter(Boolean).join('\n');
+      box.appendChild(b);
+    }
+  } catch (e) { /* agent not up yet; next refresh will retry */ }
+}
+refreshBadges();
+setInterval(refreshBadges, 10000);
+
+/* -------- Settings (persisted agent configuration) -------- */
+
+let settingsCache = [];
+
+function settingInput(s) {
+  let el;
+  if (s.type === 'enum' || s.type === 'bool') {
+    el = document.createElement('select');
+    const options = s.type === 'bool' ? ['true', 'false'] : s.values;
+    for (const v of options) el.add(new Option(v, v));
+    el.value = String(s.value);
+  } else {
+    el = document.createElement('input');
+    el.value = s.value == null ? '' : (Array.isArray(s.value) ? s.value.join(',') : s.value);
+    if (s.type === 'list') el.placeholder = s.values.join(',');
+  }
+  el.dataset.key = s.key;
+  el.disabled = s.source === 'env'; // pinned by the environment; a saved value would have no effect
+  return el;
+}
+
+function renderSettings(settings) {
+  const box = $('settingsFields');
+  box.innerHTML = '';
+  for (const s of settings) {
+    const wrap = document.createElement('div');
+    const label = document.createElement('label');
+    label.textContent = `${s.key} (${s.source})`;
+    label.title = s.description || '';
+    wrap.append(label, settingInput(s));
+    box.appendChild(wrap);
+  }
+}
+
+async function loadSettings() {
+  const data = await getJSON('http://localhost:3000/config');
+  if (!data.ok) throw new Error(data.error || 'Could not load settings');
+  settingsCache = data.settings;
+  renderSettings(settingsCache);
+  $('settingsInfo').textContent = `Saved in ${data.file} (version ${data.version}${data.migratedFrom != null ? `, migrated from ${data.migratedFrom}` : ''})`;
+  // Connection fields start from the agent's defaults instead of values baked into the page
+  const byKey = Object.fromEntries(settingsCache.map(s => [s.key, s.value]));
+  if (!$('ip').value) $('ip').value = byKey.terminalIp;
+  if (!$('port').value) $('port').value = byKey.primaryPort;
+  if (!$('ecr').value) $('ecr').value = byKey.ecrId;
+}
+
+$('btnSettings').addEventListener('click', async () => {
+  const panel = $('settingsPanel');
+  panel.style.display = panel.style.display === 'none' ? '' : 'none';
+  if (panel.style.display === '') {
+    try { await loadSettings(); } catch (e) { log('ERROR: ' + e.message); }
+  }
+});
+
+$('btnSaveSettings').addEventListener('click', async () => {
+  reset('Saving settings…');
+  const patch = {};
+  for (const el of $('settingsFields').querySelectorAll('[data-key]')) {
+    if (el.disabled) continue;
+    const s = settingsCache.find(x => x.key === el.dataset.key);
+    const current = s.value == null ? '' : (Array.isArray(s.value) ? s.value.join(',') : String(s.value));
+    if (el.value !== current) patch[s.key] = el.value === '' ? null : el.value;
+  }
+  if (!Object.keys(patch).length) return log('No changes.');
+  try {
+    const data = await adminJSON('/config', patch, 'PUT');
+    renderResult('Save Settings', data);
+    if (data.ok) await loadSettings();
+  } catch (e) { log('ERROR: ' + e.message); }
+});
+
+loadSettings().catch(() => { /* agent still starting; the Settings button retries */ });
+
+/* -------- Transaction history -------- */
+
+// Row actions: route, body key, and the amount field the cashier fills in (identifiers come from the row)
+const HISTORY_ACTIONS = {
+  Void: { path: '/void', key: 'void', targets: ['Sale', 'AuthCompletion', 'Refund'] },
+  TipAdjust: { title: 'Tip Adjust', path: '/tip-adjust', key: 'tipAdjust', amount: 'tipAmount', label: 'New Tip Amount', targets: ['Sale', 'AuthCompletion'] },
+  Refund: { path: '/refund', key: 'refund', amount: 'totalAmount', label: 'Refund Amount', targets: ['Sale', 'AuthCompletion'] },
+};
+
+let historyRows = [];
+let historyPick = null; // { row, action } while the action box is open
+
+function historyQuery() {
+  const q = { q: $('histSearch').value.trim(), command: $('histCommand').value, outcome: $('histOutcome').value, since: $('histSince').value, until: $('histUntil').value, limit: 200 };
+  return new URLSearchParams(Object.entries(q).filter(([, v]) => v !== '')).toString();
+}
+
+const canApply = (row, action) => ['approved', 'partial'].includes(row.outcome) && !row.voidedBy &&
+  HISTORY_ACTIONS[action].targets.includes(row.command) && Boolean(row.referenceNumber || row.tranNo);
+
+function renderHistory() {
+  const body = $('historyTable').querySelector('tbody');
+  body.innerHTML = '';
+  for (const row of historyRows) {
+    const tr = document.createElement('tr');
+    if (historyPick && historyPick.row.requestId === row.requestId) tr.className = 'selected';
+    const result = row.outcome + (row.voidedBy ? ' (voided)' : '') + (row.reversal ? ` (reversal ${row.reversal})` : '');
+    const card = row.maskedPan ? `${row.brand || ''} ${row.maskedPan}`.trim() : '';
+    [new Date(row.at).toLocaleString(), row.command, row.amount || '', result, row.tranNo || '', row.referenceNumber || '', card].forEach((text, i) => {
+      const td = document.createElement('td');
+      td.textContent = text;
+      if (i === 3) td.className = `outcome-${row.outcome}`;
+      tr.appendChild(td);
+    });
+    tr.title = [row.message, row.invoiceNbr ? `Invoice ${row.invoiceNbr}` : '', `requestId ${row.requestId}`, `${row.terminal.ip}:${row.terminal.port}`].filter(Boolean).join('\n');
+    const actions = document.createElement('td');
+    for (const action of Object.keys(HISTORY_ACTIONS)) {
+      if (!canApply(row, action)) continue;
+      const b = document.createElement('button');
+      b.textContent = HISTORY_ACTIONS[action].title || action;
+      b.onclick = () => pickHistoryAction(row, action);
+      actions.appendChild(b);
+    }
+    tr.appendChild(actions);
+    body.appendChild(tr);
+  }
+  $('historyInfo').textContent = historyRows.length ? `${historyRows.length} transaction(s)` : 'No transactions match.';
+}
+
+async function loadHistory() {
+  try {
+    const data = await getJSON(`http://localhost:3000/history?${historyQuery()}`);
+    if (!data.ok) throw new Error(data.message || data.error || 'Could not load history');
+    historyRows = data.transactions;
+    renderHistory();
+  } catch (e) { $('historyInfo').textContent = `History unavailable: ${e.message}`; }
+}
+
+let historyTimer;
+const reloadHistorySoon = () => { clearTimeout(historyTimer); historyTimer = setTimeout(loadHistory, 300); };
+
+function pickHistoryAction(row, action) {
+  const a = HISTORY_ACTIONS[action];
+  historyPick = { row, action };
+  $('historyActionTitle').textContent = `${a.title || action}: ${row.command} ${row.referenceNumber ? `ref ${row.referenceNumber}` : `tranNo ${row.tranNo}`}` + (row.amount ? ` (${row.amount})` : '');
+  $('historyAmountWrap').style.display = a.amount ? '' : 'none';
+  $('historyAmountLabel').textContent = a.label || 'Amount';
+  $('historyAmount').value = action === 'Refund' ? (row.amount || '') : action === 'TipAdjust' ? (row.tipAmount || '') : '';
+  $('historyAction').style.display = '';
+  renderHistory();
+}
+
+function closeHistoryAction() {
+  historyPick = null;
+  $('historyAction').style.display = 'none';
+  renderHistory();
+}
+
+$('btnHistorySend').addEventListener('click', async () => {
+  if (!historyPick) return;
+  const { row, action } = historyPick;
+  const a = HISTORY_ACTIONS[action];
+  reset();
+  const transaction = row.referenceNumber ? { referenceNumber: row.referenceNumber } : { tranNo: row.tranNo };
+  if (a.amount) transaction[a.amount] = $('historyAmount').value.trim();
+  const clerkId = currentClerk();
+  // Same terminal as the original, whatever is selected in the picker now
+  const payload = { ip: row.terminal.ip, port: row.terminal.port, ecrId: row.terminal.ecrId, [a.key]: { params: clerkId ? { clerkId } : {}, transaction } };
+  try {
+    const data = await postWithOverride(a.path, payload);
+    renderResult(`${a.title || action} (from history)`, data);
+    if (data.ok) closeHistoryAction();
+  } catch (e) { log('ERROR: ' + e.message); }
+  loadHistory();
+});
+
+$('btnHistoryCancel').addEventListener('click', closeHistoryAction);
+$('btnHistoryRefresh').addEventListener('click', loadHistory);
+['histSearch', 'histCommand', 'histOutcome', 'histSince', 'histUntil'].forEach(id => $(id).addEventListener('input', reloadHistorySoon));
+
+loadHistory();
+
+/* -------- Live terminal progress (SSE) -------- */
+
+const PROGRESS_LABELS = { EVT: 'Terminal event', DSP: 'Display', PIN: 'Enter PIN', CNF: 'Confirm on terminal', READY: 'Terminal ready' };
+
+function progressText(evt) {
+  if (evt.type === 'start') return `${evt.command} sent to ${evt.ip}:${evt.port}`;
+  if (evt.type === 'unsolicited') return `Terminal pushed ${evt.command || 'a message'}`;
+  if (evt.type === 'failover') return `${evt.ip}:${evt.port} ${evt.data.error}; trying port ${evt.data.next}`;
+  if (evt.type === 'done')  return evt.data && evt.data.ok ? `${evt.command} finished` : `${evt.command} failed: ${evt.data && evt.data.error}`;
+  const frame = evt.data || {};
+  const d = frame.data || {};
+  const text = typeof d === 'string' ? d : (d.text || d.display || d.prompt || d.message || d.event);
+  return text ? `${frame.message}: ${text}` : (PROGRESS_LABELS[frame.message] || frame.message);
+}
+
+function showProgress(evt) {
+  const text = progressText(evt);
+  $('liveStatus').textContent = `[${evt.requestId || evt.duringRequestId}] ${text}`;
+  log(`» ${text}`);
+}
+
+// EventSource can't set headers: each connection uses a single-use token instead of the key, so a
+// dropped stream is reopened with a fresh one
+async function openProgressStream() {
+  let stream;
+  try {
+    const { token } = await postJSON('/events/token', {});
+    stream = new EventSource(`http://localhost:3000/events?streamToken=${encodeURIComponent(token)}`);
+  } catch (e) {
+    return setTimeout(openProgressStream, 5000); // agent still starting
+  }
+  ['start', 'progress', 'failover', 'unsolicited', 'done'].forEach(type => {
+    stream.addEventListener(type, (e) => showProgress(JSON.parse(e.data)));
+  });
+  stream.addEventListener('done', reloadHistorySoon); // a finished command may be a new history row
+  stream.onerror = () => {
+    stream.close();
+    setTimeout(openProgressStream, 3000);
+  };
+}
+openProgressStream();
+
 /* -------- Availability & Ping -------- */
 
 $('btnAvail').addEventListener('click', async () => {
   reset();
-  const { ip, port } = baseConn();
   try {
-    const data = await getJSON(`http://localhost:3000/availability?ip=${encodeURIComponent(ip)}&port=${encodeURIComponent(port)}`);
+    const data = await getJSON(`http://localhost:3000/availability?${connQuery()}`);
     renderResult('Availability', data);
   } catch (e) { log('ERROR: ' + e.message); }
 });
 
 $('btnPing').addEventListener('click', async () => {
   reset();
-  const { ip, port, ecrId } = baseConn();
   try {
-    const data = await getJSON(`http://localhost:3000/ping?ip=${encodeURIComponent(ip)}&port=${encodeURIComponent(port)}&ecrId=${encodeURIComponent(ecrId)}`);
+    const data = await getJSON(`http://localhost:3000/ping?${connQuery()}`);
     renderResult('Ping', data);
   } catch (e) { log('ERROR: ' + e.message); }
 });
@@ -68,7 +450,7 @@ $('btnPing').addEventListener('click', async () => {
 
 $('btnSale').addEventListener('click', async () => {
   reset();
-  const { ip, port, ecrId } = baseConn();
+  const conn = baseConn();
   const baseAmount = $('saleBase').value.trim();
   const tipAmount  = $('saleTip').value.trim();
   const taxAmount  = $('saleTax').value.trim();
@@ -76,7 +458,7 @@ $('btnSale').addEventListener('click', async () => {
   const allowPartialAuth = $('saleAllowPartial').value.trim();
 
   const payload = {
-    ip, port, ecrId,
+    ...conn,
     sale: {
       params: {},
       transaction: {
@@ -95,52 +477,162 @@ $('btnSale').addEventListener('click', async () => {
   } catch (e) { log('ERROR: ' + e.message); }
 });
 
-/* -------- PreAuth (with optional lodging) -------- */
+/* -------- Manual (keyed) Sale -------- */
 
-$('btnPreAuth').addEventListener('click', async () => {
+$('msEntry').addEventListener('change', () => {
+  $('msCardFields').style.display = $('msEntry').value === 'pos' ? '' : 'none';
+});
+
+$('btnManualSale').addEventListener('click', async () => {
   reset();
-  const { ip, port, ecrId } = baseConn();
-  const amount = $('paAmount').value.trim();
-  const clerkId = $('paClerk').value.trim();
+  const conn = baseConn();
+  const params = {};
+  if (currentClerk()) params.clerkId = currentClerk();
+  if ($('msAddr').value.trim()) params.avsAddress = $('msAddr').value.trim();
+  if ($('msZip').value.trim()) params.avsZip = $('msZip').value.trim();
+  const transaction = { baseAmount: $('msAmount').value.trim() };
+  if ($('msInvoice').value.trim()) transaction.invoiceNbr = $('msInvoice').value.trim();
+
+  const payload = { ...conn, params, transaction };
+  if ($('msEntry').value === 'pos') {
+    payload.card = { pan: $('msPan').value.replace(/\s/g, ''), expiryDate: $('msExp').value.trim() };
+    if ($('msCvv').value.trim()) payload.card.cvv = $('msCvv').value.trim();
+  }
+  // Card data isn't kept in the form once it has been sent
+  $('msPan').value = $('msExp').value = $('msCvv').value = '';
 
-  const lod = {};
-  if ($('lodFolio').value.trim()) lod.folioNumber = $('lodFolio').value.trim();
-  if ($('lodStay').value.trim())  lod.stayDuration = $('lodStay').value.trim();
-  if ($('lodIn').value.trim())    lod.checkInDate  = $('lodIn').value.trim();
-  if ($('lodOut').value.trim())   lod.checkOutDate = $('lodOut').value.trim();
-  if ($('lodRate').value.trim())  lod.dailyRate    = $('lodRate').value.trim();
-  if ($('lodPref').value.trim())  lod.preferredCustomer = $('lodPref').value.trim();
+  try {
+    const data = await postJSON('/sale/manual', payload);
+    renderResult('Manual Sale', data);
+  } catch (e) { log('ERROR: ' + e.message); }
+});
 
-  const hasLodging = Object.keys(lod).length > 0;
+/* -------- PreAuth / lodging folio -------- */
 
-  const payload = {
-    ip, port, ecrId,
-    preauth: {
-      params: {},
-      transaction: { amount }
-    }
-  };
-  if (clerkId) payload.preauth.params.clerkId = clerkId;
-  if (hasLodging) payload.preauth.lodging = lod;
+// Lodging block shared by every step of a folio, plus step-specific fields; empty values are left out
+function folioLodging(extra = {}) {
+  const lod = {};
+  const fields = { lodFolio: 'folioNumber', lodStay: 'stayDuration', lodIn: 'checkInDate', lodOut: 'checkOutDate', lodRate: 'dailyRate', lodPref: 'preferredCustomer' };
+  for (const [id, key] of Object.entries(fields)) if ($(id).value.trim()) lod[key] = $(id).value.trim();
+  for (const [key, value] of Object.entries(extra)) if (value) lod[key] = value;
+  return lod;
+}
 
+// Sends one step (check-in, incremental auth, check-out) and refreshes the folio view
+async function sendFolioStep(title, path, key, transaction, lodging) {
+  reset();
+  const clerkId = $('paClerk').value.trim() || currentClerk();
+  const payload = { ...baseConn(), [key]: { params: clerkId ? { clerkId } : {}, transaction } };
+  if (Object.keys(lodging).length) payload[key].lodging = lodging;
   try {
-    const data = await postJSON('/preauth', payload);
-    renderResult('PreAuth', data);
-  } catch (e) { log('ERROR: ' + e.message); }
+    const data = await postJSON(path, payload);
+    renderResult(title, data);
+    if (lodging.folioNumber) loadFolio(lodging.folioNumber);
+    return data;
+  } catch (e) { log('ERROR: ' + e.message); return null; }
+}
+
+$('btnPreAuth').addEventListener('click', async () => {
+  const data = await sendFolioStep('PreAuth', '/preauth', 'preauth', { amount: $('paAmount').value.trim() }, folioLodging());
+  // Incremental auths and the check-out point at the check-in's reference
+  if (data && data.ok && data.result.referenceNumber) $('paRef').value = data.result.referenceNumber;
+});
+
+$('btnIncrementalAuth').addEventListener('click', () => {
+  const amount = $('incAmount').value.trim();
+  sendFolioStep('Incremental Auth', '/preauth', 'preauth', { amount, preAuthAmount: amount, referenceNumber: $('paRef').value.trim() }, folioLodging());
+});
+
+$('btnAuthCompletion').addEventListener('click', () => {
+  const transaction = { referenceNumber: $('paRef').value.trim(), amount: $('coAmount').value.trim() };
+  if ($('coTip').value.trim()) transaction.tipAmount = $('coTip').value.trim();
+  const lodging = folioLodging({
+    extraChargeTypes: $('coExtraTypes').value.replace(/\s/g, ''),
+    extraChargeTotal: $('coExtraTotal').value.trim(),
+    noShow: $('coNoShow').value === '1' ? '1' : '',
+  });
+  sendFolioStep('Auth Completion', '/auth-completion', 'authCompletion', transaction, lodging);
 });
 
+const folioStep = (row) => (row.command === 'PreAuth' ? (row.original ? 'Incremental auth' : 'Check-in')
+  : row.command === 'AuthCompletion' ? 'Check-out' : row.command);
+
+function renderFolio(folio) {
+  const body = $('folioTable').querySelector('tbody');
+  body.innerHTML = '';
+  if (!folio) return;
+  $('folioInfo').textContent = `Folio ${folio.folioNumber}: ${folio.state} | held ${folio.authorized} | captured ${folio.captured}` +
+    (folio.checkInDate ? ` | ${folio.checkInDate} – ${folio.checkOutDate || '?'}` : '');
+  for (const row of folio.transactions) {
+    const lod = row.lodging || {};
+    const extras = [lod.extraChargeTypes ? `types ${lod.extraChargeTypes}` : '', lod.extraChargeTotal ? `total ${lod.extraChargeTotal}` : '', String(lod.noShow) === '1' ? 'no-show' : ''];
+    const result = row.outcome + (row.voidedBy ? ' (voided)' : '') + (row.reversal ? ` (reversal ${row.reversal})` : '');
+    const tr = document.createElement('tr');
+    [new Date(row.at).toLocaleString(), folioStep(row), row.amount || '', result, row.tranNo || '', row.referenceNumber || '', extras.filter(Boolean).join(', ')].forEach((text, i) => {
+      const td = document.createElement('td');
+      td.textContent = text;
+      if (i === 3) td.className = `outcome-${row.outcome}`;
+      tr.appendChild(td);
+    });
+    tr.title = [row.message, `requestId ${row.requestId}`].filter(Boolean).join('\n');
+    body.appendChild(tr);
+  }
+  // Carry on with this folio: the next step goes against its check-in
+  $('lodFolio').value = folio.folioNumber;
+  if (folio.preAuth) $('paRef').value = folio.preAuth.referenceNumber || '';
+  const dates = { lodIn: folio.checkInDate, lodOut: folio.checkOutDate, lodRate: folio.dailyRate, lodStay: folio.stayDuration };
+  for (const [id, value] of Object.entries(dates)) if (value) $(id).value = value;
+}
+
+async function loadFolio(folioNumber) {
+  if (!folioNumber) return;
+  try {
+    const data = await getJSON(`http://localhost:3000/folios/${encodeURIComponent(folioNumber)}`);
+    if (!data.ok) throw new Error(data.message || data.error || 'Could not load folio');
+    renderFolio(data.folio);
+  } catch (e) {
+    renderFolio(null);
+    $('folioInfo').textContent = `Folio ${folioNumber}: ${e.message}`;
+  }
+  loadFolios();
+}
+
+// Checked-in guests, for picking the folio to extend or check out
+async function loadFolios() {
+  try {
+    const data = await getJSON('http://localhost:3000/folios?state=open');
+    if (!data.ok) return;
+    const picker = $('folioList');
+    const selected = picker.value;
+    picker.innerHTML = '<option value="">(pick a folio)</option>';
+    for (const f of data.folios) {
+      const opt = document.createElement('option');
+      opt.value = f.folioNumber;
+      opt.textContent = `${f.folioNumber} – held ${f.authorized}` + (f.checkOutDate ? `, out ${f.checkOutDate}` : '');
+      picker.appendChild(opt);
+    }
+    picker.value = data.folios.some(f => f.folioNumber === selected) ? selected : '';
+  } catch (e) { /* agent still starting; Refresh retries */ }
+}
+
+$('folioList').addEventListener('change', () => loadFolio($('folioList').value));
+$('btnFolioLoad').addEventListener('click', () => loadFolio($('lodFolio').value.trim()));
+$('btnFolioRefresh').addEventListener('click', loadFolios);
+
+loadFolios();
+
 /* -------- Void -------- */
 
 $('btnVoid').addEventListener('click', async () => {
   reset();
-  const { ip, port, ecrId } = baseConn();
+  const conn = baseConn();
   const tranNo  = $('voidTranNo').value.trim();
   const ref     = $('voidRef').value.trim();
   const invoice = $('voidInvoice').value.trim();
-  const clerkId = $('voidClerk').value.trim();
+  const clerkId = $('voidClerk').value.trim() || currentClerk();
 
   const payload = {
-    ip, port, ecrId,
+    ...conn,
     void: {
       params: {},
       transaction: {}
@@ -152,7 +644,7 @@ $('btnVoid').addEventListener('click', async () => {
   if (clerkId) payload.void.params.clerkId = clerkId;
 
   try {
-    const data = await postJSON('/void', payload);
+    const data = await postWithOverride('/void', payload);
     renderResult('Void', data);
   } catch (e) { log('ERROR: ' + e.message); }
 });
@@ -161,14 +653,14 @@ $('btnVoid').addEventListener('click', async () => {
 
 $('btnRefund').addEventListener('click', async () => {
   reset();
-  const { ip, port, ecrId } = baseConn();
+  const conn = baseConn();
   const total   = $('rfTotal').value.trim();
   const ref     = $('rfRef').value.trim();
   const invoice = $('rfInvoice').value.trim();
-  const clerkId = $('rfClerk').value.trim();
+  const clerkId = $('rfClerk').value.trim() || currentClerk();
 
   const payload = {
-    ip, port, ecrId,
+    ...conn,
     refund: {
       params: {},
       transaction: { totalAmount: total }
@@ -179,7 +671,7 @@ $('btnRefund').addEventListener('click', async () => {
   if (clerkId) payload.refund.params.clerkId = clerkId;
 
   try {
-    const data = await postJSON('/refund', payload);
+    const data = await postWithOverride('/refund', payload);
     renderResult('Refund', data);
   } catch (e) { log('ERROR: ' + e.message); }
 });
@@ -188,14 +680,14 @@ $('btnRefund').addEventListener('click', async () => {
 
 $('btnTipAdjust').addEventListener('click', async () => {
   reset();
-  const { ip, port, ecrId } = baseConn();
+  const conn = baseConn();
   const tip     = $('taTip').value.trim();
   const ref     = $('taRef').value.trim();
   const tranNo  = $('taTranNo').value.trim();
   const invoice = $('taInvoice').value.trim();
 
   const payload = {
-    ip, port, ecrId,
+    ...conn,
     tipAdjust: {
       params: {},
       transaction: { tipAmount: tip }
@@ -215,22 +707,11 @@ $('btnTipAdjust').addEventListener('click', async () => {
 
 $('btnBatchClose').addEventListener('click', async () => {
   reset();
-  const { ip, port, ecrId } = baseConn();
-  console.log("hii this is btnBatchClose")
-  const payload = { ip, port, ecrId, data: {} };
+  const conn = baseConn();
+  const payload = { ...conn, params: currentClerk() ? { clerkId: currentClerk() } : {}, data: {} };
   try {
-    const data = await postJSON('/batch-close', payload);
+    const data = await postWithOverride('/batch-close', payload);
     renderResult('Batch Close', data);
   } catch (e) { log('ERROR: ' + e.message); }
 });
 
-$('btnManualSale').addEventListener('click', async () => {
-  reset();
-  const { ip, port, ecrId } = baseConn();
-  console.log("hii this is VbtnBatchClose")
-  const payload = { ip, port, ecrId, data: {} };
-  try {
-    const data = await postJSON('/batch-close', payload);
-    renderResult('Batch Close', data);
-  } catch (e) { log('ERROR: ' + e.message); }
-});
@@ -0,0 +1,138 @@
+// server/auth.js
+'use strict';
+const path = require('path');
+const crypto = require('crypto');
+const { jsonStore } = require('./json-store');
+
+// read = status/history/settings, sale = sale/preauth/completion/tip adjust, refund = refund/void/batch close,
+// admin = config changes, terminal registry, clerks, keys, raw commands (and implies every other scope)
+const SCOPES = ['read', 'sale', 'refund', 'admin'];
+const WINDOW_SCOPES = ['read', 'sale', 'refund']; // the agent window, i.e. whoever stands at the till
+const SIGNATURE_WINDOW_MS = 5 * 60 * 1000; // accepted clock skew for X-Timestamp
+const STREAM_TOKEN_MS = 60 * 1000;
+
+// Per-installation API keys, persisted to api-keys.json (readable by the current user only).
+// Secrets are kept as-is because HMAC verification needs them.
+// Entry: { id, label, secret, scopes, builtin: false | 'window' | 'admin', createdAt }
+//
+// A client authenticates with either
+//   X-Api-Key: <secret>            (or Authorization: Bearer <secret>)
+// or by signing the request:
+//   X-Key-Id: <id>
+//   X-Timestamp: <ms since epoch>
+//   X-Signature: hex HMAC-SHA256(secret, `${timestamp}\n${METHOD}\n${path + query}\n${hex SHA-256 of the raw body}`)
+function createAuthStore(dir) {
+  const store = jsonStore(path.join(dir, 'api-keys.json'), { mode: 0o600 });
+  let keys = store.load([]);
+  const seenSignatures = new Map(); // signature -> expiry, so a captured signed request can't be replayed
+  const streamTokens = new Map(); // token -> { keyId, expires }, see issueStreamToken
+
+  const save = () => store.save(keys);
+
+  const publicView = ({ secret, ...k }) => k;
+  const list = () => keys.map(publicView);
+
+  function create({ label, scopes } = {}, { builtin = false } = {}) {
+    const errors = [];
+    if (!label || typeof label !== 'string') errors.push('label is required');
+    if (!Array.isArray(scopes) || !scopes.length) errors.push('scopes must be a non-empty array');
+    else for (const s of scopes) if (!SCOPES.includes(s)) errors.push(`unknown scope ${s} (expected ${SCOPES.join(', ')})`);
+    if (errors.length) return { errors };
+    const key = {
+      id: crypto.randomBytes(6).toString('hex'),
+      label,
+      secret: crypto.randomBytes(32).toString('base64url'),
+      scopes: [...new Set(scopes)],
+      builtin,
+      createdAt: new Date().toISOString(),
+    };
+    keys.push(key);
+    save();
+    return { key };
+  }
+
+  function remove(id) {
+    const k = keys.find(x => x.id === id);
+    if (!k || k.builtin) return false;
+    keys = keys.filter(x => x !== k);
+    save();
+    return true;
+  }
+
+  // The agent window's own key, handed to the renderer through the preload bridge. It can't change the
+  // agent's setup: settings and the terminal registry ask for the administrator key (adminKey) instead.
+  function localKey() {
+    // Earlier versions marked the window key builtin: true and gave it the admin scope
+    const existing = keys.find(k => k.builtin === 'window' || k.builtin === true);
+    if (!existing) return create({ label: 'Agent window', scopes: WINDOW_SCOPES }, { builtin: 'window' }).key;
+    if (existing.builtin !== 'window' || existing.scopes.join() !== WINDOW_SCOPES.join()) {
+      Object.assign(existing, { builtin: 'window', scopes: [...WINDOW_SCOPES] });
+      save();
+    }
+    return existing;
+  }
+
+  // Administrator key, created on first run; only kept in api-keys.json (readable by the current user)
+  function adminKey() {
+    return keys.find(k => k.builtin === 'admin') || create({ label: 'Administrator', scopes: ['admin'] }, { builtin: 'admin' }).key;
+  }
+
+  // EventSource can't send headers, so the window trades its key for a short-lived, single-use token
+  // that goes in the stream URL instead of the key itself
+  function issueStreamToken(key) {
+    const now = Date.now();
+    for (const [t, v] of streamTokens) if (v.expires < now) streamTokens.delete(t);
+    const token = crypto.randomBytes(24).toString('base64url');
+    streamTokens.set(token, { keyId: key.id, expires: now + STREAM_TOKEN_MS });
+    return { token, expiresInMs: STREAM_TOKEN_MS };
+  }
+
+  function redeemStreamToken(token) {
+    const entry = streamTokens.get(String(token));
+    streamTokens.delete(String(token));
+    const key = entry && entry.expires >= Date.now() && keys.find(k => k.id === entry.keyId);
+    return key ? { key } : { error: 'Invalid or expired stream token' };
+  }
+
+  const digest = (v) => crypto.createHash('sha256').update(v).digest();
+  const sameSecret = (a, b) => crypto.timingSafeEqual(digest(String(a)), digest(String(b)));
+
+  function verifySignature(req) {
+    const id = req.get('x-key-id');
+    const ts = Number(req.get('x-timestamp'));
+    const sig = String(req.get('x-signature') || '');
+    const key = keys.find(k => k.id === id);
+    if (!key) return { error: 'Unknown key id' };
+    if (!Number.isFinite(ts) || Math.abs(Date.now() - ts) > SIGNATURE_WINDOW_MS) return { error: 'Timestamp missing or outside the allowed window' };
+
+    const bodyHash = crypto.createHash('sha256').update(req.rawBody || '').digest('hex');
+    const expected = crypto.createHmac('sha256', key.secret)
+      .update(`${ts}\n${req.method}\n${req.originalUrl}\n${bodyHash}`).digest('hex');
+    if (!/^[0-9a-f]{64}$/i.test(sig) || !crypto.timingSafeEqual(Buffer.from(expected, 'hex'), Buffer.from(sig, 'hex'))) {
+      return { error: 'Bad signature' };
+    }
+
+    const now = Date.now();
+    for (const [s, exp] of seenSignatures) if (exp < now) seenSignatures.delete(s);
+    if (seenSignatures.has(sig)) return { error: 'Signature already used' };
+    seenSignatures.set(sig, ts + SIGNATURE_WINDOW_MS);
+    return { key };
+  }
+
+  // -> { key } or { error }
+  function verify(req) {
+    if (req.get('x-signature')) return verifySignature(req);
+    if (req.method === 'GET' && req.query.streamToken) return redeemStreamToken(req.query.streamToken);
+    const bearer = /^Bearer\s+(.+)$/i.exec(req.get('authorization') || '');
+    const secret = req.get('x-api-key') || (bearer && bearer[1]);
+    if (!secret) return { error: 'API key or request signature required' };
+    const key = keys.find(k => sameSecret(k.secret, secret));
+    return key ? { key } : { error: 'Invalid API key' };
+  }
+
+  const hasScope = (key, scope) => !!key && (key.scopes.includes('admin') || key.scopes.includes(scope));
+
+  return { file: store.file, list, create, remove, localKey, adminKey, issueStreamToken, verify, hasScope };
+}
+
+module.exports = { SCOPES, WINDOW_SCOPES, createAuthStore };
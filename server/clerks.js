@@ -0,0 +1,108 @@
+// server/clerks.js
+'use strict';
+const path = require('path');
+const crypto = require('crypto');
+const { jsonStore } = require('./json-store');
+
+const ROLES = ['clerk', 'manager'];
+const ID_RE = /^[0-9]{1,10}$/; // same shape the terminal accepts for params.clerkId
+const PIN_RE = /^[0-9]{4,8}$/;
+const MAX_PIN_FAILURES = 5;
+const LOCKOUT_MS = 5 * 60 * 1000;
+
+function hashPin(pin) {
+  const salt = crypto.randomBytes(16);
+  const hash = crypto.scryptSync(String(pin), salt, 32);
+  return `scrypt$${salt.toString('hex')}$${hash.toString('hex')}`;
+}
+
+function pinMatches(stored, pin) {
+  const [, salt, hash] = String(stored || '').split('$');
+  if (!salt || !hash) return false;
+  const candidate = crypto.scryptSync(String(pin), Buffer.from(salt, 'hex'), 32);
+  return crypto.timingSafeEqual(candidate, Buffer.from(hash, 'hex'));
+}
+
+// Clerk profiles, persisted as a JSON array in clerks.json. PINs are only kept as salted scrypt hashes.
+// Entry: { clerkId, name, role: 'clerk' | 'manager', pinHash, createdAt }
+function createClerkRegistry(dir) {
+  const store = jsonStore(path.join(dir, 'clerks.json'), { mode: 0o600 });
+  let items = store.load([]);
+  const failures = new Map(); // clerkId -> { count, lockedUntil }
+  const save = () => store.save(items);
+
+  // A profile from input (changes applied to base when editing) -> { clerk } or { errors }; a new clerk needs a pin
+  function normalize(input, base = {}) {
+    const c = { ...base, ...input };
+    const errors = [];
+    if (!ID_RE.test(String(c.clerkId ?? ''))) errors.push('clerkId must be 1-10 digits');
+    if (!ROLES.includes(c.role)) errors.push(`role must be one of ${ROLES.join(', ')}`);
+    if (input.pin != null || !base.pinHash) {
+      if (!PIN_RE.test(String(input.pin ?? ''))) errors.push('pin must be 4-8 digits');
+    }
+    if (errors.length) return { errors };
+    return {
+      clerk: {
+        clerkId: String(c.clerkId),
+        name: String(c.name || c.clerkId),
+        role: c.role,
+        pinHash: input.pin != null ? hashPin(input.pin) : base.pinHash,
+        createdAt: base.createdAt || new Date().toISOString(),
+      },
+    };
+  }
+
+  const publicView = ({ pinHash, ...c }) => c;
+  const find = (clerkId) => items.find(c => c.clerkId === String(clerkId)) || null;
+  const list = () => items.map(publicView);
+  const get = (clerkId) => { const c = find(clerkId); return c ? publicView(c) : null; };
+  const isEmpty = () => items.length === 0;
+
+  function create(input) {
+    if (find(input.clerkId)) return { errors: [`clerk ${input.clerkId} already exists`] };
+    const out = normalize(input);
+    if (out.errors) return out;
+    items.push(out.clerk);
+    save();
+    return { clerk: publicView(out.clerk) };
+  }
+
+  function update(clerkId, input) {
+    const existing = find(clerkId);
+    if (!existing) return null;
+    const out = normalize({ ...input, clerkId: existing.clerkId }, existing);
+    if (out.errors) return out;
+    items = items.map(c => (c.clerkId === existing.clerkId ? out.clerk : c));
+    failures.delete(existing.clerkId);
+    save();
+    return { clerk: publicView(out.clerk) };
+  }
+
+  function remove(clerkId) {
+    const before = items.length;
+    items = items.filter(c => c.clerkId !== String(clerkId));
+    if (items.length === before) return false;
+    save();
+    return true;
+  }
+
+  // -> { clerk } or { error }; repeated wrong PINs lock the profile for a while
+  function verifyPin(clerkId, pin) {
+    const c = find(clerkId);
+    if (!c) return { error: `Unknown clerk ${clerkId}` };
+    const f = failures.get(c.clerkId) || { count: 0, lockedUntil: 0 };
+    if (f.lockedUntil > Date.now()) return { error: `Clerk ${c.clerkId} is locked after too many wrong PINs; try again later` };
+    if (!pinMatches(c.pinHash, pin)) {
+      f.count += 1;
+      if (f.count >= MAX_PIN_FAILURES) Object.assign(f, { count: 0, lockedUntil: Date.now() + LOCKOUT_MS });
+      failures.set(c.clerkId, f);
+      return { error: 'Wrong PIN' };
+    }
+    failures.delete(c.clerkId);
+    return { clerk: publicView(c) };
+  }
+
+  return { list, get, create, update, remove, isEmpty, verifyPin };
+}
+
+module.exports = { ROLES, createClerkRegistry };
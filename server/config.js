@@ -0,0 +1,194 @@
+// server/config.js
+'use strict';
+const path = require('path');
+const { CURRENCIES } = require('./money');
+const { jsonStore } = require('./json-store');
+
+// Current layout of config.json: { version, values: { key: value } }
+const CONFIG_VERSION = 1;
+
+// Upgrades config.json one version at a time: MIGRATIONS[n] turns version n into n + 1
+const MIGRATIONS = {
+  // Unversioned file: a flat object of values (the shape POST /config used to merge)
+  0: (doc) => ({ version: 1, values: { ...doc } }),
+};
+
+const SOURCE = { DEFAULT: 'default', ENV: 'env', FILE: 'file', RUNTIME: 'runtime' };
+
+// Every setting the agent understands. type: string | int | number | bool | enum | list;
+// env values are strings and go through the same parser as JSON input.
+const FIELDS = {
+  terminalIp: { type: 'string', env: 'TERMINAL_IP', default: '192.168.1.91', pattern: '^[A-Za-z0-9.:-]{1,253}$', description: 'Default terminal IP or host name' },
+  primaryPort: { type: 'int', env: 'TERMINAL_PORT', default: 8081, min: 1, max: 65535, description: 'Default terminal port' },
+  altPort: { type: 'int', env: 'TERMINAL_PORT_ALT', default: 8080, min: 1, max: 65535, description: 'Failover port' },
+  ecrId: { type: 'string', env: 'ECR_ID', default: '13', pattern: '^[0-9]{1,10}$', description: 'ECR ID sent in every envelope' },
+  connectTimeoutMs: { type: 'int', env: 'CONNECT_TIMEOUT_MS', default: 5000, min: 100, max: 120000, description: 'TCP connect timeout' },
+  readTimeoutMs: { type: 'int', env: 'READ_TIMEOUT_MS', default: 180000, min: 1000, max: 900000, description: 'Ceiling for a whole transaction' },
+  idleByteTimeoutMs: { type: 'int', env: 'IDLE_BYTE_TIMEOUT_MS', default: 25000, min: 1000, max: 900000, description: 'No-activity cutoff' },
+  busyPolicy: { type: 'enum', env: 'BUSY_POLICY', default: 'queue', values: ['queue', 'reject'], description: 'When the terminal already has a command in flight' },
+  ackTimeoutMs: { type: 'int', env: 'ACK_TIMEOUT_MS', default: 3000, min: 100, max: 60000, description: "Wait for the terminal's ACK of our MSG" },
+  ackRetries: { type: 'int', env: 'ACK_RETRIES', default: 2, min: 0, max: 10, description: 'MSG retransmits before giving up' },
+  monitorIntervalMs: { type: 'int', env: 'MONITOR_INTERVAL_MS', default: 30000, min: 0, max: 3600000, description: 'Background health probe interval; 0 disables' },
+  monitorPing: { type: 'bool', env: 'MONITOR_PING', default: false, description: 'Also send a Ping command, not just a TCP connect' },
+  monitorSlowMs: { type: 'int', env: 'MONITOR_SLOW_MS', default: 1000, min: 1, max: 60000, description: 'Connect latency above this shows amber' },
+  monitorHistory: { type: 'int', env: 'MONITOR_HISTORY', default: 50, min: 1, max: 1000, description: 'Transitions/samples kept per terminal' },
+  idempotencyTtlHours: { type: 'number', env: 'IDEMPOTENCY_TTL_HOURS', default: 24, min: 0.1, max: 720, description: 'How long Idempotency-Keys are remembered' },
+  requestIdDigits: { type: 'int', env: 'REQUEST_ID_DIGITS', default: 6, min: 6, max: 10, description: 'requestId width (terminal accepts 6-10 digits)' },
+  maxResponseBytes: { type: 'int', env: 'MAX_RESPONSE_BYTES', default: 1048576, min: 1024, max: 67108864, description: 'Cap on one frame / a reassembled multi-message reply' },
+  multiMessageTimeoutMs: { type: 'int', env: 'MULTI_MESSAGE_TIMEOUT_MS', default: 30000, min: 1000, max: 600000, description: 'First part to last part of a multi-message reply' },
+  currency: { type: 'enum', env: 'CURRENCY', default: 'USD', values: Object.keys(CURRENCIES), description: 'Currency for amount parsing' },
+  minorUnits: { type: 'int', env: 'MINOR_UNITS', default: null, nullable: true, min: 0, max: 4, description: "Decimal places; empty = the currency's default" },
+  managerOnly: { type: 'list', env: 'MANAGER_ONLY', default: ['refund', 'void', 'batch-close'], values: ['refund', 'void', 'batch-close'], description: 'Actions that need a manager PIN' },
+  debugLevel: { type: 'enum', env: 'DEBUG_LEVEL', default: process.env.AGENT_PRODUCTION === '1' ? 'basic' : 'verbose', values: ['off', 'basic', 'verbose'], description: 'Debug log detail in responses (production: non-admin keys get at most basic)' },
+  recoveryAttempts: { type: 'int', env: 'RECOVERY_ATTEMPTS', default: 3, min: 0, max: 10, description: 'Status inquiries for a financial command left in doubt; 0 disables recovery' },
+  recoveryDelayMs: { type: 'int', env: 'RECOVERY_DELAY_MS', default: 2000, min: 0, max: 60000, description: 'Wait before each recovery status inquiry' },
+  indexesRequestId: { type: 'bool', env: 'TERMINAL_INDEXES_REQUEST_ID', default: false, description: "Terminal firmware looks transactions up by our requestId, so a lookup that finds nothing proves a command never ran. Off: such a command stays unknown for manual review" },
+  autoReversal: { type: 'bool', env: 'AUTO_REVERSAL', default: true, description: 'Reverse a Sale / PreAuth whose outcome stays unknown after recovery' },
+  reversalGraceMs: { type: 'int', env: 'REVERSAL_GRACE_MS', default: 30000, min: 0, max: 3600000, description: 'From sending the command until it is reversed' },
+  reversalRetryMs: { type: 'int', env: 'REVERSAL_RETRY_MS', default: 60000, min: 1000, max: 3600000, description: 'Between reversal attempts while the terminal is unreachable' },
+  reversalMaxAttempts: { type: 'int', env: 'REVERSAL_MAX_ATTEMPTS', default: 30, min: 1, max: 1000, description: 'Reversal attempts before it is left for manual follow-up' },
+  allowPosKeyedCard: { type: 'bool', env: 'ALLOW_POS_KEYED_CARD', default: false, description: 'Accept card number / CVV from the POS for manual sales (brings the agent into PCI scope); otherwise the card is keyed on the terminal' },
+  avsAutoVoid: { type: 'enum', env: 'AVS_AUTO_VOID', default: 'off', values: ['off', 'no-match', 'partial'], description: 'Void an approved keyed sale on AVS mismatch: no-match = neither address nor ZIP matched, partial = either one failed' },
+  cvvAutoVoid: { type: 'bool', env: 'CVV_AUTO_VOID', default: false, description: 'Void an approved keyed sale when the CVV does not match' },
+  journalRotateBytes: { type: 'int', env: 'JOURNAL_ROTATE_BYTES', default: 10485760, min: 65536, max: 1073741824, description: 'Start a new journal file once the current one passes this size' },
+  journalRetentionDays: { type: 'int', env: 'JOURNAL_RETENTION_DAYS', default: 90, min: 1, max: 3650, description: 'Delete rotated journal files (and drop their requests from history) after this many days' },
+  refundCeiling: { type: 'string', env: 'REFUND_CEILING', default: null, nullable: true, pattern: '^\\d+(\\.\\d+)?$', description: 'Refunds above this need a manager' },
+};
+
+// Parses one value for a field -> { value } or { error }
+function parseField(f, raw) {
+  if (raw == null || raw === '') return f.nullable ? { value: null } : { error: 'is required' };
+  switch (f.type) {
+    case 'int':
+    case 'number': {
+      const n = typeof raw === 'number' ? raw : (/^-?\d+(\.\d+)?$/.test(String(raw).trim()) ? Number(raw) : NaN);
+      if (!Number.isFinite(n) || (f.type === 'int' && !Number.isInteger(n))) return { error: `must be ${f.type === 'int' ? 'an integer' : 'a number'}` };
+      if (f.min != null && n < f.min) return { error: `must be at least ${f.min}` };
+      if (f.max != null && n > f.max) return { error: `must be at most ${f.max}` };
+      return { value: n };
+    }
+    case 'bool':
+      if (typeof raw === 'boolean') return { value: raw };
+      if (['1', 'true'].includes(String(raw))) return { value: true };
+      if (['0', 'false'].includes(String(raw))) return { value: false };
+      return { error: 'must be true or false' };
+    case 'enum':
+      return f.values.includes(String(raw)) ? { value: String(raw) } : { error: `must be one of ${f.values.join(', ')}` };
+    case 'list': {
+      const items = Array.isArray(raw) ? raw.map(String) : String(raw).split(',').map(s => s.trim()).filter(Boolean);
+      const bad = items.filter(v => !f.values.includes(v));
+      return bad.length ? { error: `unknown value(s) ${bad.join(', ')}; expected ${f.values.join(', ')}` } : { value: [...new Set(items)] };
+    }
+    default: {
+      if (typeof raw !== 'string' && typeof raw !== 'number') return { error: 'must be a string' };
+      const s = String(raw).trim();
+      return f.pattern && !new RegExp(f.pattern).test(s) ? { error: `must match ${f.pattern}` } : { value: s };
+    }
+  }
+}
+
+// Validates a { key: value } patch -> { values, errors: [{ field, message }] }
+function validatePatch(patch) {
+  const values = {};
+  const errors = [];
+  if (!patch || typeof patch !== 'object' || Array.isArray(patch)) return { values, errors: [{ field: '', message: 'must be an object' }] };
+  for (const [k, raw] of Object.entries(patch)) {
+    const f = FIELDS[k];
+    if (!f) { errors.push({ field: k, message: 'is not a known setting' }); continue; }
+    const r = parseField(f, raw);
+    if (r.error) errors.push({ field: k, message: r.error });
+    else values[k] = r.value;
+  }
+  return { values, errors };
+}
+
+// Layered agent configuration: default < config.json (file) < environment < runtime (POST /config, lost on restart).
+// The file lives in the agent's data dir (Electron userData), so it survives upgrades and reinstalls.
+function createConfigStore(dir, { env = process.env } = {}) {
+  const store = jsonStore(path.join(dir, 'config.json'));
+  const layers = { [SOURCE.ENV]: {}, [SOURCE.FILE]: {}, [SOURCE.RUNTIME]: {} };
+  let migratedFrom = null;
+
+  for (const [k, f] of Object.entries(FIELDS)) {
+    if (env[f.env] == null) continue;
+    const r = parseField(f, env[f.env]);
+    if (r.error) console.warn(`Ignoring ${f.env}: ${r.error}`);
+    else layers[SOURCE.ENV][k] = r.value;
+  }
+
+  const save = () => store.save({ version: CONFIG_VERSION, values: layers[SOURCE.FILE] });
+
+  function load() {
+    let doc = store.load();
+    if (!doc) return;
+    let version = Number.isInteger(doc.version) ? doc.version : 0;
+    if (version > CONFIG_VERSION) {
+      console.warn(`config.json is version ${version}, newer than this agent (${CONFIG_VERSION}); unknown settings are ignored`);
+    }
+    const from = version;
+    while (version < CONFIG_VERSION) doc = MIGRATIONS[version++](doc);
+    // Drop anything a hand edit or older release left that no longer validates
+    for (const [k, raw] of Object.entries(doc.values || {})) {
+      const f = FIELDS[k];
+      const r = f ? parseField(f, raw) : { error: 'unknown setting' };
+      if (r.error) console.warn(`Ignoring config.json ${k}: ${r.error}`);
+      else layers[SOURCE.FILE][k] = r.value;
+    }
+    if (from < CONFIG_VERSION) { migratedFrom = from; save(); }
+  }
+  load();
+
+  const ORDER = [SOURCE.RUNTIME, SOURCE.ENV, SOURCE.FILE];
+  function sourceOf(k) {
+    return ORDER.find(s => Object.prototype.hasOwnProperty.call(layers[s], k)) || SOURCE.DEFAULT;
+  }
+
+  function effective() {
+    const out = {};
+    for (const [k, f] of Object.entries(FIELDS)) {
+      const s = sourceOf(k);
+      out[k] = s === SOURCE.DEFAULT ? f.default : layers[s][k];
+    }
+    return out;
+  }
+
+  // GET /config view: value, where it came from, and what the settings page needs to render it
+  function describe() {
+    const values = effective();
+    return {
+      version: CONFIG_VERSION,
+      migratedFrom,
+      file: store.file,
+      settings: Object.entries(FIELDS).map(([key, f]) => ({
+        key,
+        value: values[key],
+        source: sourceOf(key),
+        ...f,
+        fileValue: Object.prototype.hasOwnProperty.call(layers[SOURCE.FILE], key) ? layers[SOURCE.FILE][key] : undefined,
+      })),
+    };
+  }
+
+  // persist=true writes config.json; otherwise the change lasts until restart.
+  // A null value on a persisted key removes it from the file (falls back to env/default).
+  function apply(patch, { persist }) {
+    const clearing = persist ? Object.keys(patch || {}).filter(k => patch[k] === null && FIELDS[k] && !FIELDS[k].nullable) : [];
+    const rest = { ...patch };
+    for (const k of clearing) delete rest[k];
+    const { values, errors } = validatePatch(rest);
+    if (errors.length) return { errors };
+    const layer = layers[persist ? SOURCE.FILE : SOURCE.RUNTIME];
+    for (const k of clearing) delete layer[k];
+    Object.assign(layer, values);
+    if (persist) {
+      // A persisted change should take effect even if this key was overridden at runtime
+      for (const k of [...clearing, ...Object.keys(values)]) delete layers[SOURCE.RUNTIME][k];
+      save();
+    }
+    return { values: effective() };
+  }
+
+  return { effective, describe, apply, sourceOf };
+}
+
+module.exports = { CONFIG_VERSION, SOURCE, FIELDS, createConfigStore };
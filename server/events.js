@@ -0,0 +1,43 @@
+// server/events.js
+'use strict';
+const { EventEmitter } = require('events');
+const { redact } = require('./redact');
+
+// In-process bus for live terminal progress (EVT/DSP/PIN/CNF/READY) while a command is in flight.
+const bus = new EventEmitter();
+bus.setMaxListeners(0);
+
+function publish(evt) {
+  bus.emit('event', redact({ t: new Date().toISOString(), ...evt }));
+}
+
+// In-process listeners (request tracker etc.); returns an unsubscribe function
+function subscribe(fn) {
+  bus.on('event', fn);
+  return () => bus.off('event', fn);
+}
+
+// Server-Sent Events stream; /events streams everything, /events/:requestId only that request,
+// ?type=unsolicited (or any comma-separated event types) narrows to those channels
+function sseHandler(req, res) {
+  const only = req.params.requestId ? String(req.params.requestId) : null;
+  const types = req.query.type ? String(req.query.type).split(',') : null;
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+  });
+  res.flushHeaders();
+  res.write(': connected\n\n');
+
+  const onEvent = (evt) => {
+    if (only && evt.requestId !== only) return;
+    if (types && !types.includes(evt.type)) return;
+    res.write(`event: ${evt.type}\ndata: ${JSON.stringify(evt)}\n\n`);
+  };
+  const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), 15000);
+  bus.on('event', onEvent);
+  req.on('close', () => { clearInterval(heartbeat); bus.off('event', onEvent); });
+}
+
+module.exports = { publish, subscribe, sseHandler };
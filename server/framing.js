@@ -0,0 +1,85 @@
+// server/framing.js
+'use strict';
+
+// Framing bytes: <STX><LF> JSON <LF><ETX><LF>
+const STX = 0x02, LF = 0x0A, ETX = 0x03;
+
+const frameJson = (obj) => {
+  const j = Buffer.from(JSON.stringify(obj), 'ascii');
+  return Buffer.concat([Buffer.from([STX, LF]), j, Buffer.from([LF, ETX, LF])]);
+};
+const ACK_FRAME = frameJson({ message: 'ACK', data: '' });
+const stripFrame = (buf) => buf.toString('utf8').replace(/[\x02\x03\x0A\x0D\x00]/g, '').trim();
+
+class FrameAccumulator {
+  // onOverflow fires (and the buffer is dropped) when an unterminated frame grows past maxBytes
+  constructor(onFrame, { maxBytes = Infinity, onOverflow = () => {} } = {}) {
+    this.onFrame = onFrame; this.maxBytes = maxBytes; this.onOverflow = onOverflow; this.buf = Buffer.alloc(0);
+  }
+  push(chunk) {
+    this.buf = Buffer.concat([this.buf, chunk]);
+    if (this.buf.length > this.maxBytes) { this.buf = Buffer.alloc(0); this.onOverflow(); return; }
+    // find <STX> ... <ETX> windows repeatedly
+    while (true) {
+      const s = this.buf.indexOf(STX);
+      if (s < 0) { this.buf = Buffer.alloc(0); return; }
+      const e = this.buf.indexOf(ETX, s + 1);
+      if (e < 0) { if (s > 0) this.buf = this.buf.slice(s); return; }
+      const raw = this.buf.slice(s + 1, e);
+      this.onFrame(stripFrame(raw), raw);
+      this.buf = this.buf.slice(e + 1);
+    }
+  }
+}
+
+// multipleMessage "1" means more parts of the same response follow
+const isMultipart = (obj) => String(obj.data?.multipleMessage ?? obj.data?.data?.multipleMessage ?? '0') === '1';
+
+// Fold the parts of a multi-message reply into one frame: objects merge, arrays (transaction
+// lists, receipt lines) concatenate in arrival order, scalars take the latest part's value.
+function mergeMessageParts(parts) {
+  if (parts.length === 1) return parts[0];
+  const merge = (a, b) => {
+    if (Array.isArray(a) && Array.isArray(b)) return [...a, ...b];
+    if (a && b && typeof a === 'object' && typeof b === 'object' && !Array.isArray(a) && !Array.isArray(b)) {
+      const out = { ...a };
+      for (const [k, v] of Object.entries(b)) out[k] = k in a ? merge(a[k], v) : v;
+      return out;
+    }
+    return b === undefined ? a : b;
+  };
+  return parts.reduce((acc, p) => merge(acc, p));
+}
+
+// Response names each command can come back as (the mock and firmware builds accept aliases)
+const RESPONSE_ALIASES = [
+  ['Sale', 'CreditSale'],
+  ['PreAuth', 'PreAuthorization'],
+  ['TipAdjust', 'TipAdjustment'],
+  ['Void', 'VoidTransaction'],
+  ['Refund', 'CreditRefund'],
+  ['EOD', 'EODProcessing', 'BatchClose', 'Batch'],
+  ['StatusInquiry', 'TransactionStatus'],
+  ['BatchInquiry', 'BatchStatus'],
+  ['TransactionList', 'TransactionHistory'],
+  ['SystemReset', 'Reset'],
+];
+const expectedResponses = (command) => RESPONSE_ALIASES.find(g => g.includes(command)) || [command];
+
+// Is a terminal MSG the reply to the command we sent? Matched on the echoed requestId and the
+// response name; either may be missing depending on firmware, but one that is present must fit.
+//   'final'       -> our response
+//   'id-mismatch' -> our command's response name carrying someone else's requestId (e.g. a stale reply
+//                    re-sent after a failover or retry); not ours, so the caller keeps waiting
+//   'unsolicited' -> a push unrelated to our command (SystemReady, status updates, ...)
+function correlate(obj, { requestId, command }) {
+  const name = obj.data?.response ?? obj.response;
+  const echoed = obj.data?.requestId ?? obj.requestId;
+  const idMatches = echoed == null || echoed === '' ? null : String(echoed) === requestId;
+  const nameMatches = name == null || name === '' ? null : expectedResponses(command).includes(name);
+  if (idMatches === true) return 'final';
+  if (idMatches === false) return nameMatches ? 'id-mismatch' : 'unsolicited';
+  return nameMatches === false ? 'unsolicited' : 'final';
+}
+
+module.exports = { STX, ETX, frameJson, ACK_FRAME, FrameAccumulator, isMultipart, mergeMessageParts, expectedResponses, correlate };
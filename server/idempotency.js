@@ -0,0 +1,61 @@
+// server/idempotency.js
+'use strict';
+const path = require('path');
+const crypto = require('crypto');
+const { jsonStore } = require('./json-store');
+
+// Idempotency-Key store for financial routes, persisted to idempotency.json so a POS retry after an
+// agent restart still gets the original result instead of a second charge.
+// Entry: { key, route, fingerprint, requestId, state: 'in-flight' | 'done' | 'interrupted', status, body, createdAt }
+function createIdempotencyStore(dir, { ttlMs }) {
+  const store = jsonStore(path.join(dir, 'idempotency.json'));
+  const entries = new Map();
+
+  for (const e of store.load([])) {
+    // Whatever was in flight when the agent stopped has an unknown outcome
+    if (e.state === 'in-flight') e.state = 'interrupted';
+    entries.set(e.key, e);
+  }
+
+  function prune() {
+    const cutoff = Date.now() - ttlMs();
+    for (const [k, e] of entries) if (Date.parse(e.createdAt) < cutoff) entries.delete(k);
+  }
+  function save() {
+    prune();
+    store.save([...entries.values()]);
+  }
+
+  const fingerprint = (route, body) => {
+    // A retry may carry a different manager's approval and still be the same request
+    const { idempotencyKey, override, ...rest } = body || {};
+    return crypto.createHash('sha256').update(route + '\n' + JSON.stringify(rest)).digest('hex');
+  };
+
+  function lookup(key) {
+    prune();
+    return entries.get(key) || null;
+  }
+
+  function start(key, route, fp, requestId) {
+    entries.set(key, { key, route, fingerprint: fp, requestId: String(requestId), state: 'in-flight', createdAt: new Date().toISOString() });
+    save();
+  }
+
+  function finish(key, status, body) {
+    const e = entries.get(key);
+    if (!e || e.state !== 'in-flight') return;
+    Object.assign(e, { state: 'done', status, body, finishedAt: new Date().toISOString() });
+    save();
+  }
+
+  // Drop a key whose command never reached the terminal so the caller can retry with it
+  function release(key) {
+    if (entries.delete(key)) save();
+  }
+
+  save();
+  return { fingerprint, lookup, start, finish, release };
+}
+
+module.exports = { createIdempotencyStore };
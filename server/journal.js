@@ -0,0 +1,113 @@
+// server/journal.js
+'use strict';
+const fs = require('fs');
+const path = require('path');
+const { redact } = require('./redact');
+
+const DAY_MS = 24 * 3600 * 1000;
+const ROTATED = /^journal-(\d+)\.jsonl$/; // journal-<ms since epoch of the rotation>.jsonl
+
+// Append-only transaction journal: one JSON object per line, never rewritten.
+// Every entry carries requestId, command, ip, port and ecrId so a request can be
+// reconstructed after a restart (envelope sent, progress frames, final response).
+// journal.jsonl is rotated to journal-<time>.jsonl once it passes rotateBytes, and rotated files
+// older than retentionDays are deleted. The per-request summaries are kept in memory, built from the
+// retained files at startup and updated on every append, so listing never goes back to disk.
+//   settings() -> { rotateBytes, retentionDays }
+function createJournal(dir, { settings = () => ({ rotateBytes: Infinity, retentionDays: Infinity }) } = {}) {
+  fs.mkdirSync(dir, { recursive: true });
+  const file = path.join(dir, 'journal.jsonl');
+  const summaries = new Map(); // requestId -> summary, in the order requests started
+  let size = 0;
+
+  const rotatedFiles = () => fs.readdirSync(dir).filter(f => ROTATED.test(f)).sort().map(f => path.join(dir, f));
+
+  function readEntries(f) {
+    let text;
+    try { text = fs.readFileSync(f, 'utf8'); } catch { return []; }
+    const out = [];
+    for (const line of text.split('\n')) {
+      if (!line.trim()) continue;
+      try { out.push(JSON.parse(line)); } catch { /* torn write from a crash; skip */ }
+    }
+    return out;
+  }
+
+  function summarize(e) {
+    let s = summaries.get(e.requestId);
+    if (!s) {
+      s = { requestId: e.requestId, command: e.command, ip: e.ip, port: e.port, ecrId: e.ecrId, startedAt: e.t, status: 'pending' };
+      summaries.set(e.requestId, s);
+    }
+    s.updatedAt = e.t;
+    if (e.kind === 'send')     s.transaction = (e.data && e.data.data && e.data.data.data && e.data.data.data.transaction) || null;
+    if (e.kind === 'send')     s.lodging = (e.data && e.data.data && e.data.data.data && e.data.data.data.lodging) || null;
+    if (e.kind === 'response') { s.status = 'ok'; s.response = e.data; }
+    if (e.kind === 'error')    { s.status = 'error'; s.error = e.data; }
+    if (e.kind === 'override') s.override = e.data;
+    // In-doubt command settled (or not) by status inquiry after the error entry
+    if (e.kind === 'recovery') { s.recovery = e.data; s.status = e.data.state === 'resolved' ? 'ok' : 'unknown'; }
+    if (e.kind === 'reversal') s.reversal = e.data;
+    if (e.kind === 'auto-void') s.autoVoid = e.data;
+  }
+
+  // Drops rotated files and summaries older than retentionDays
+  function prune() {
+    const { retentionDays } = settings();
+    if (!Number.isFinite(retentionDays)) return;
+    const cutoff = Date.now() - retentionDays * DAY_MS;
+    for (const f of rotatedFiles()) {
+      if (Number(ROTATED.exec(path.basename(f))[1]) >= cutoff) continue;
+      try { fs.unlinkSync(f); } catch (err) { console.error('Journal cleanup failed:', err.message); }
+    }
+    for (const [id, s] of summaries) if (Date.parse(s.updatedAt) < cutoff) summaries.delete(id);
+  }
+
+  function rotate() {
+    let stamp = Date.now();
+    while (fs.existsSync(path.join(dir, `journal-${stamp}.jsonl`))) stamp++; // never overwrite an earlier rotation
+    try {
+      fs.renameSync(file, path.join(dir, `journal-${stamp}.jsonl`));
+      size = 0;
+    } catch (err) { console.error('Journal rotation failed:', err.message); }
+    prune();
+  }
+
+  function append(entry) {
+    const line = JSON.stringify(redact({ t: new Date().toISOString(), ...entry })) + '\n';
+    try {
+      fs.appendFileSync(file, line);
+      size += Buffer.byteLength(line);
+    } catch (err) { console.error('Journal write failed:', err.message); }
+    summarize(JSON.parse(line));
+    if (size >= settings().rotateBytes) rotate();
+  }
+
+  // One summary per requestId, newest first
+  function list({ command, ip, ecrId, limit = 100 } = {}) {
+    return [...summaries.values()]
+      .filter(s => (!command || s.command === command) && (!ip || s.ip === ip) && (!ecrId || s.ecrId === String(ecrId)))
+      .reverse()
+      .slice(0, limit)
+      .map(s => ({ ...s }));
+  }
+
+  function find(requestId) {
+    const s = summaries.get(String(requestId));
+    return s ? { ...s } : null;
+  }
+
+  // Every entry of one request, from the files on disk (detail view, not on any hot path)
+  function get(requestId) {
+    return [...rotatedFiles(), file].flatMap(readEntries).filter(e => e.requestId === String(requestId));
+  }
+
+  for (const f of [...rotatedFiles(), file]) readEntries(f).forEach(summarize);
+  try { size = fs.statSync(file).size; } catch { size = 0; }
+  prune();
+  setInterval(prune, 3600 * 1000).unref();
+
+  return { file, append, list, find, get };
+}
+
+module.exports = { createJournal };
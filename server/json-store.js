@@ -0,0 +1,27 @@
+// server/json-store.js
+'use strict';
+const fs = require('fs');
+const path = require('path');
+
+// One JSON document in the agent's data dir.
+//   load(fallback) -> the parsed document, or fallback while the file is missing or unreadable
+//   save(doc)      -> written to a temp file that is renamed over the old one, so a crash mid-write
+//                     leaves the previous version in place
+// mode sets the file permissions (0o600 for secrets); compact skips indentation for files rewritten often.
+function jsonStore(file, { mode, compact = false } = {}) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+
+  function load(fallback = null) {
+    try { return JSON.parse(fs.readFileSync(file, 'utf8')); } catch { return fallback; }
+  }
+
+  function save(doc) {
+    const tmp = `${file}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(doc, null, compact ? 0 : 2), mode != null ? { mode } : undefined);
+    fs.renameSync(tmp, file);
+  }
+
+  return { file, load, save };
+}
+
+module.exports = { jsonStore };
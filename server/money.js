@@ -0,0 +1,91 @@
+// server/money.js
+'use strict';
+
+// Amounts are held as integer minor units (cents) from the moment a request is parsed until the
+// terminal payload is written, so "1.005", "abc" or float sums never turn into drift or "NaN" on the wire.
+const CURRENCIES = {
+  USD: { code: 'USD', minorUnits: 2 },
+  CAD: { code: 'CAD', minorUnits: 2 },
+  EUR: { code: 'EUR', minorUnits: 2 },
+};
+
+// "12.5" | "12.50" | 12.5 -> { minor: 1250 }; anything else -> { error }
+function parseMinor(value, minorUnits = 2) {
+  if (typeof value === 'number') {
+    if (!Number.isFinite(value)) return { error: 'must be a finite number' };
+    value = String(value); // 12.5 -> "12.5"; 1e21 -> "1e+21", rejected below
+  }
+  if (typeof value !== 'string') return { error: 'must be a decimal amount' };
+  const s = value.trim();
+  if (s.startsWith('-')) return { error: 'must not be negative' };
+  const m = /^(\d+)(?:\.(\d*))?$/.exec(s);
+  if (!m) return { error: 'must be a decimal amount' };
+  const frac = m[2] || '';
+  if (frac.length > minorUnits) return { error: `must have at most ${minorUnits} decimal places` };
+  const minor = Number(m[1]) * 10 ** minorUnits + Number(frac.padEnd(minorUnits, '0') || 0);
+  if (!Number.isSafeInteger(minor)) return { error: 'is too large' };
+  return { minor };
+}
+
+// 1250 -> "12.50" (the terminal's string form)
+function formatMinor(minor, minorUnits = 2) {
+  const digits = String(Math.abs(minor)).padStart(minorUnits + 1, '0');
+  const text = minorUnits ? `${digits.slice(0, -minorUnits)}.${digits.slice(-minorUnits)}` : digits;
+  return minor < 0 ? `-${text}` : text;
+}
+
+// Components that make up the charged total, per command (no cash back without the card present)
+const TOTAL_PARTS = {
+  Sale: ['baseAmount', 'tipAmount', 'taxAmount', 'cashBackAmount'],
+  ManualSale: ['baseAmount', 'tipAmount', 'taxAmount'],
+};
+
+//   settings() -> { currency, minorUnits }  (minorUnits overrides the currency's default when set)
+function createMoney(settings) {
+  function currency() {
+    const { currency: code, minorUnits } = settings();
+    const c = CURRENCIES[String(code || '').toUpperCase()];
+    if (!c) throw new Error(`Unsupported currency ${code} (expected one of ${Object.keys(CURRENCIES).join(', ')})`);
+    return { code: c.code, minorUnits: minorUnits != null && minorUnits !== '' ? Number(minorUnits) : c.minorUnits };
+  }
+
+  const parse = (value) => parseMinor(value, currency().minorUnits);
+  const format = (minor) => formatMinor(minor, currency().minorUnits);
+
+  // Rewrites the given amount fields of a block in the terminal's string form (block must already be valid)
+  function normalize(block, fields) {
+    if (!block) return;
+    for (const k of fields) {
+      if (block[k] == null || block[k] === '') continue;
+      block[k] = format(parse(block[k]).minor);
+    }
+  }
+
+  // Cross-field checks the schema can't express; returns [{ field, message }]
+  function checkTotals(command, transaction) {
+    if (!transaction || typeof transaction !== 'object') return [];
+    const errors = [];
+    const parts = TOTAL_PARTS[command];
+    if (parts) {
+      let sum = 0;
+      for (const k of parts) {
+        if (transaction[k] == null || transaction[k] === '') continue;
+        const p = parse(transaction[k]);
+        if (p.error) return errors; // already reported by the schema
+        sum += p.minor;
+      }
+      if (!Number.isSafeInteger(sum)) errors.push({ field: 'transaction', message: 'total amount is too large' });
+      else if (transaction.totalAmount != null && transaction.totalAmount !== '') {
+        const t = parse(transaction.totalAmount);
+        if (!t.error && t.minor !== sum) {
+          errors.push({ field: 'transaction.totalAmount', message: `must equal ${parts.join(' + ')} (${format(sum)})` });
+        }
+      }
+    }
+    return errors;
+  }
+
+  return { currency, parse, format, normalize, checkTotals };
+}
+
+module.exports = { CURRENCIES, parseMinor, formatMinor, createMoney };
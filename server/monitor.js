@@ -0,0 +1,92 @@
+// server/monitor.js
+'use strict';
+
+// Status colours shown in the window: up = green, degraded = amber, down = red
+const STATUS = { UP: 'up', DEGRADED: 'degraded', DOWN: 'down', UNKNOWN: 'unknown' };
+
+// Periodically probes every configured terminal and keeps a rolling history per terminal.
+//   targets()            -> [{ id, label, ip, port, ecrId, timeouts }]
+//   probe(target)        -> { ok, info }  (TCP connect only)
+//   ping(target)         -> { ok, error } (optional Ping command), or null when skipped for a busy terminal
+//   isBusy(target)       -> true while a transaction is in flight; the terminal is left alone then
+//   settings()           -> { intervalMs, ping, slowMs, historySize }
+//   onTransition(target, from, to) -> optional, whenever a terminal changes status
+function createHealthMonitor({ targets, probe, ping, isBusy, settings, onTransition = () => {} }) {
+  const state = new Map();
+  let timer = null;
+  let running = false;
+
+  function entryFor(t) {
+    if (!state.has(t.id)) {
+      state.set(t.id, { id: t.id, status: STATUS.UNKNOWN, since: null, lastCheckedAt: null, latencyMs: null, error: null, transitions: [], samples: [] });
+    }
+    const e = state.get(t.id);
+    Object.assign(e, { label: t.label, ip: t.ip, port: t.port });
+    return e;
+  }
+
+  function recordResult(e, status, latencyMs, error) {
+    const { historySize } = settings();
+    const t = new Date().toISOString();
+    if (status !== e.status) {
+      e.transitions.push({ t, from: e.status, to: status, error });
+      if (e.transitions.length > historySize) e.transitions.shift();
+      e.since = t;
+      onTransition(e, e.transitions[e.transitions.length - 1].from, status);
+    }
+    e.samples.push({ t, status, latencyMs, error });
+    if (e.samples.length > historySize) e.samples.shift();
+    Object.assign(e, { status, latencyMs, error, lastCheckedAt: t, busy: false });
+  }
+
+  async function check(t) {
+    const e = entryFor(t);
+    if (isBusy(t)) { e.busy = true; return; }
+    const { ping: doPing, slowMs } = settings();
+    const started = Date.now();
+    const a = await probe(t);
+    const latencyMs = Date.now() - started;
+    if (!a.ok) return recordResult(e, STATUS.DOWN, null, a.info);
+    if (doPing && !isBusy(t)) {
+      const p = await ping(t);
+      if (p && !p.ok) return recordResult(e, STATUS.DEGRADED, latencyMs, `Ping failed: ${p.error}`);
+    }
+    recordResult(e, latencyMs > slowMs ? STATUS.DEGRADED : STATUS.UP, latencyMs, latencyMs > slowMs ? `Slow connect (${latencyMs} ms)` : null);
+  }
+
+  async function tick() {
+    if (running) return;
+    running = true;
+    try {
+      const list = targets();
+      // Forget terminals that were removed from the registry
+      for (const id of state.keys()) if (!list.some(t => t.id === id)) state.delete(id);
+      await Promise.all(list.map(t => check(t).catch(err => recordResult(entryFor(t), STATUS.DOWN, null, err.message))));
+    } finally {
+      running = false;
+    }
+  }
+
+  function schedule() {
+    const { intervalMs } = settings();
+    if (!intervalMs) { timer = null; return; }
+    timer = setTimeout(() => tick().finally(schedule), intervalMs);
+    timer.unref();
+  }
+
+  function start() {
+    if (timer || !settings().intervalMs) return;
+    tick().finally(schedule);
+  }
+
+  function stop() {
+    clearTimeout(timer);
+    timer = null;
+  }
+
+  const snapshot = () => [...state.values()].map(e => ({ ...e, transitions: [...e.transitions], samples: [...e.samples] }));
+
+  return { start, stop, tick, snapshot };
+}
+
+module.exports = { STATUS, createHealthMonitor };
@@ -0,0 +1,77 @@
+// server/redact.js
+'use strict';
+
+// Card data must not reach the console, the debug `log` returned to callers, SSE events, the journal or
+// anything else the agent persists. PANs keep their first 6 / last 4 digits; CVV, track data, PIN blocks
+// and clerk PINs are removed outright.
+const DROP_KEYS = /^(cvv2?|cvc2?|cvn|cid|securityCode|cardSecurityCode|track[12]?|track[12]?Data|trackData|pinBlock|encryptedPin|pin)$/i;
+const PAN_KEYS = /^(pan|cardPAN|cardNumber|accountNumber|primaryAccountNumber)$/i;
+const REDACTED = '[REDACTED]';
+
+function luhn(digits) {
+  let sum = 0;
+  for (let i = 0; i < digits.length; i++) {
+    let d = Number(digits[digits.length - 1 - i]);
+    if (i % 2) { d *= 2; if (d > 9) d -= 9; }
+    sum += d;
+  }
+  return sum % 10 === 0;
+}
+
+const maskPan = (digits) => (digits.length < 13
+  ? '*'.repeat(digits.length)
+  : digits.slice(0, 6) + '*'.repeat(digits.length - 10) + digits.slice(-4));
+
+// Free text (JSON we couldn't parse, hex-decoded frames, console strings): card-number-shaped digit
+// runs that pass Luhn, and "cvv": "123"-style pairs
+const SECRET_PAIR = /("(?:cvv2?|cvc2?|cvn|securityCode|cardSecurityCode|track[12]?(?:Data)?|trackData|pinBlock|encryptedPin|pin)"\s*:\s*)("(?:[^"\\]|\\.)*"|\d+)/gi;
+function maskText(text) {
+  return String(text)
+    .replace(/(?<!\d)\d{13,19}(?!\d)/g, m => (luhn(m) ? maskPan(m) : m))
+    .replace(SECRET_PAIR, `$1"${REDACTED}"`);
+}
+
+// Deep copy with card data masked/removed
+function redact(value) {
+  if (typeof value === 'string') return maskText(value);
+  if (Array.isArray(value)) return value.map(redact);
+  if (!value || typeof value !== 'object' || value instanceof Error || Buffer.isBuffer(value)) return value;
+  const out = {};
+  for (const [k, v] of Object.entries(value)) {
+    if (DROP_KEYS.test(k)) continue;
+    if (PAN_KEYS.test(k) && (typeof v === 'string' || typeof v === 'number')) out[k] = maskPan(String(v).replace(/\D/g, ''));
+    else out[k] = redact(v);
+  }
+  return out;
+}
+
+// A JSON string is redacted field by field; anything else as free text
+function redactJsonText(text) {
+  try { return JSON.stringify(redact(JSON.parse(text))); } catch { return maskText(text); }
+}
+
+// Hex dump for the debug log, taken after masking (so lengths may differ from what was on the wire)
+const redactedHex = (buf, sep = '') => [...Buffer.from(maskText(Buffer.from(buf).toString('latin1')), 'latin1')]
+  .map(b => (sep ? '0x' : '') + b.toString(16).padStart(2, '0')).join(sep);
+
+// Route console.* through the redactor; safe to call more than once
+function patchConsole(c = console) {
+  if (c.__redacting) return;
+  for (const m of ['log', 'info', 'warn', 'error', 'debug']) {
+    const orig = c[m].bind(c);
+    c[m] = (...args) => orig(...args.map(a => (typeof a === 'string' ? maskText(a) : redact(a))));
+  }
+  c.__redacting = true;
+}
+
+// Debug detail in responses: off = no log, basic = the step list without frames/bytes, verbose = everything (still redacted)
+const DEBUG_LEVELS = ['off', 'basic', 'verbose'];
+const WIRE_TYPES = new Set(['send-json', 'recv-json', 'send-bytes', 'recv-bytes']);
+
+function applyDebugLevel(body, level) {
+  if (!body || !Array.isArray(body.log) || level === 'verbose') return body;
+  const log = level === 'off' ? [] : body.log.filter(e => !WIRE_TYPES.has(e.type)).map(({ data, ...e }) => e);
+  return { ...body, log };
+}
+
+module.exports = { DEBUG_LEVELS, maskPan, maskText, redact, redactJsonText, redactedHex, patchConsole, applyDebugLevel };
@@ -0,0 +1,103 @@
+// server/request-ids.js
+'use strict';
+const path = require('path');
+const { jsonStore } = require('./json-store');
+
+const RECENT_MAX = 1000; // ids remembered for reuse detection
+const RESERVE = 100;     // ids handed out per write of the reserved ceiling
+const SAVE_DELAY_MS = 1000;
+
+// Allocates requestIds from one sequence shared by every terminal: monotonic for each terminal, and
+// an id names a single transaction whichever lane sent it, so the journal, request tracker and
+// reversal queue can be keyed by requestId alone. Zero-padded to the configured width (the terminal
+// accepts 6-10 digits), wrapping back to 1.
+// request-ids.json holds a reserved ceiling rather than every id: allocation restarts above it after
+// a restart or crash, so the file is written once per RESERVE ids and an id is never handed out twice.
+// State: { version: 2, ceiling, recent: [ids] }
+function createRequestIdAllocator(dir, { digits }) {
+  const store = jsonStore(path.join(dir, 'request-ids.json'), { compact: true });
+
+  const width = () => Math.min(10, Math.max(6, Number(digits()) || 6));
+
+  const state = load();
+  let last = state.ceiling;
+  let left = 0;
+  const recent = new Set(state.recent);
+  let timer = null;
+
+  function load() {
+    const saved = store.load();
+    if (saved && saved.version === 2) return saved;
+    // First run: seed from the clock like the old generator did, so we don't restart at 000001 and collide
+    // with ids the terminal saw from earlier agent versions. The per-terminal layout of earlier versions
+    // ({ 'ip:port': { last, recent } }) continues above the highest id any lane handed out.
+    const lanes = saved ? Object.values(saved).filter(l => l && Number.isFinite(l.last)) : [];
+    return {
+      version: 2,
+      ceiling: lanes.length ? Math.max(...lanes.map(l => l.last)) : Date.now() % (10 ** width()),
+      recent: lanes.flatMap(l => l.recent || []).slice(-RECENT_MAX),
+    };
+  }
+
+  function flush() {
+    clearTimeout(timer);
+    timer = null;
+    store.save({ version: 2, ceiling: state.ceiling, recent: [...recent] });
+  }
+
+  // recent only backs reuse detection, so losing its last second to a crash is harmless
+  function saveSoon() {
+    if (timer) return;
+    timer = setTimeout(flush, SAVE_DELAY_MS);
+    timer.unref();
+  }
+
+  function remember(id) {
+    recent.delete(id);
+    recent.add(id);
+    if (recent.size > RECENT_MAX) recent.delete(recent.values().next().value);
+  }
+
+  function next() {
+    const mod = 10 ** width();
+    let n = last % mod;
+    let id;
+    do {
+      n = n + 1 >= mod ? 1 : n + 1;
+      id = String(n).padStart(width(), '0');
+    } while (recent.has(id));
+    if (left <= 0 || n < last) {
+      // Out of reserved ids (or wrapped): move the ceiling up before handing this one out
+      state.ceiling = n + RESERVE - 1;
+      left = RESERVE;
+      remember(id);
+      flush();
+    } else {
+      remember(id);
+      saveSoon();
+    }
+    left -= 1;
+    last = n;
+    return id;
+  }
+
+  // Caller-supplied id (e.g. /command): must have the configured width and not repeat a recent id
+  function claim(requestId) {
+    const id = String(requestId);
+    const w = width();
+    if (!new RegExp(`^\\d{${w}}$`).test(id)) return { error: `requestId must be ${w} digits` };
+    if (/^0+$/.test(id)) return { error: 'requestId must not be all zeros (reserved for health checks)' };
+    if (recent.has(id)) return { error: `requestId ${id} was already used` };
+    remember(id);
+    saveSoon();
+    return { id };
+  }
+
+  // requestId for health-monitor Pings: all zeros, which next() never hands out and claim() refuses,
+  // so probes don't use up ids or show up next to transactions
+  const probe = () => '0'.repeat(width());
+
+  return { next, claim, probe, flush };
+}
+
+module.exports = { createRequestIdAllocator };
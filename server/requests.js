@@ -0,0 +1,73 @@
+// server/requests.js
+'use strict';
+const { agentFailure } = require('./result');
+
+// Lifecycle of a request submitted to a terminal, as reported by GET /requests/:requestId
+const STATE = {
+  QUEUED: 'queued',
+  CONNECTING: 'connecting',
+  AWAITING_CARD: 'awaiting-card',
+  COMPLETED: 'completed',
+  FAILED: 'failed',
+  TIMED_OUT: 'timed-out',
+  RECOVERING: 'recovering', // sent but unanswered; asking the terminal what became of it
+  UNKNOWN: 'unknown',       // recovery couldn't tell either: check the terminal before retrying
+};
+const FINAL = new Set([STATE.COMPLETED, STATE.FAILED, STATE.TIMED_OUT, STATE.UNKNOWN]);
+
+// Tracks in-flight and recently finished requests in memory. State moves forward from the
+// sendCommandTcp events (connecting -> start -> recovery) and is settled by the command's result.
+function createRequestTracker({ subscribe, maxEntries = 500 }) {
+  const entries = new Map();
+
+  function set(entry, state) {
+    entry.state = state;
+    entry.updatedAt = new Date().toISOString();
+  }
+
+  subscribe((evt) => {
+    const entry = entries.get(evt.requestId);
+    if (!entry || FINAL.has(entry.state)) return;
+    if (evt.type === 'connecting') set(entry, STATE.CONNECTING);
+    if (evt.type === 'start') set(entry, STATE.AWAITING_CARD);
+    if (evt.type === 'recovery') set(entry, STATE.RECOVERING);
+  });
+
+  function prune() {
+    for (const [id, e] of entries) {
+      if (entries.size <= maxEntries) return;
+      if (FINAL.has(e.state)) entries.delete(id);
+    }
+  }
+
+  // Registers the request before run() starts so no state transition is missed
+  function track(requestId, command, run) {
+    const now = new Date().toISOString();
+    const entry = { requestId: String(requestId), command, state: STATE.QUEUED, createdAt: now, updatedAt: now };
+    entries.set(entry.requestId, entry);
+    prune();
+    const promise = run().then((out) => {
+      entry.result = out;
+      // Completed means the terminal gave an answer (approved or declined); error is agent-side only
+      if (out.result && out.result.outcome === 'unknown') set(entry, STATE.UNKNOWN);
+      else if (!out.error) set(entry, STATE.COMPLETED);
+      else set(entry, /-timeout$/.test(out.error) ? STATE.TIMED_OUT : STATE.FAILED);
+      return out;
+    }).catch((err) => {
+      // Something inside the lane threw (fs error, bug): settle the entry so pollers and the route get an answer
+      console.error(`Request ${entry.requestId} (${command}) failed inside the agent:`, err);
+      entry.result = agentFailure({ requestId, command, message: err.message });
+      set(entry, STATE.FAILED);
+      return entry.result;
+    });
+    return { entry, promise };
+  }
+
+  function get(requestId) {
+    return entries.get(String(requestId)) || null;
+  }
+
+  return { track, get };
+}
+
+module.exports = { STATE, createRequestTracker };
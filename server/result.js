@@ -0,0 +1,234 @@
+// server/result.js
+'use strict';
+
+// Stable response shape for every terminal route, whatever the firmware sent back:
+// {
+//   ok,                 // true for approved / partial outcomes
+//   requestId, command,
+//   error,              // agent-side failure (connect-timeout, read-timeout, ...) or null if the terminal answered
+//   result: { outcome, errorCode, errorMessage, responseCode, responseText, tranNo, referenceNumber,
+//             approvalCode, transactionStatus, amounts: { requested, authorized, balanceDue },
+//             card: { maskedPan, brand, entryMode }, verification: { avsCode, avsText, avsMatch, cvvCode, cvvText, cvvMatch }, emv },
+//   rsp,                // raw terminal frame, untouched
+//   parts,              // number of MSG frames the terminal split the reply into
+//   sent, attempts, servedBy, log,
+//   recovery            // only for in-doubt commands: { state: 'resolved' | 'unresolved', attempts, ... }
+//   autoVoid            // only when an approved sale failed the AVS / CVV policy: { state, reasons, voidRequestId, error }
+// }
+const OUTCOME = { APPROVED: 'approved', PARTIAL: 'partial', DECLINED: 'declined', ERROR: 'error', UNKNOWN: 'unknown' };
+
+// Commands that move money. One that went out without an answer coming back may or may not have been
+// processed: its outcome is unknown until a StatusInquiry settles it (see recoverInDoubt in server.js).
+const FINANCIAL_COMMANDS = new Set(['Sale', 'PreAuth', 'AuthCompletion', 'Refund', 'Void', 'TipAdjust']);
+
+// Every key is always present so callers never have to probe for fields
+const blankResult = () => ({
+  outcome: null, response: null, errorCode: null, errorMessage: null, responseCode: null, responseText: null,
+  tranNo: null, referenceNumber: null, approvalCode: null, transactionStatus: null,
+  amounts: { requested: null, authorized: null, balanceDue: null },
+  card: { maskedPan: null, brand: null, entryMode: null },
+  verification: { avsCode: null, avsText: null, avsMatch: null, cvvCode: null, cvvText: null, cvvMatch: null },
+  emv: null,
+});
+
+const APPROVED_CODES = new Set(['0', '00', '10']);
+const pick = (...vals) => vals.find(v => v != null && v !== '') ?? null;
+
+// Firmware puts the payload either directly in data or one level down in data.data, and the
+// response name / cmdResult sometimes outside data altogether (EOD, StatusInquiry in the mock)
+function unwrap(rsp) {
+  const body = (rsp && rsp.data && typeof rsp.data === 'object') ? rsp.data : {};
+  const inner = (body.data && typeof body.data === 'object') ? body.data : body;
+  return {
+    body,
+    inner,
+    cmdResult: body.cmdResult || inner.cmdResult || (rsp && rsp.cmdResult) || {},
+    response: pick(body.response, rsp && rsp.response),
+  };
+}
+
+function outcomeOf(rsp, { inner, cmdResult }) {
+  const host = inner.host || {};
+  if (rsp.message === 'ERR') return OUTCOME.ERROR;
+  const failed = /^fail/i.test(String(cmdResult.result || ''));
+  const declineText = `${cmdResult.errorCode || ''} ${cmdResult.errorMessage || ''} ${host.responseText || ''}`;
+  if (failed) return /DECLIN/i.test(declineText) || (host.responseCode != null && !APPROVED_CODES.has(String(host.responseCode))) ? OUTCOME.DECLINED : OUTCOME.ERROR;
+  if (host.responseCode != null && !APPROVED_CODES.has(String(host.responseCode))) return OUTCOME.DECLINED;
+  const partial = String(inner.partialApproval || '') === '1' || String(host.responseCode) === '10' ||
+    (host.authorizedAmount != null && host.amount != null && Number(host.authorizedAmount) < Number(host.amount));
+  return partial ? OUTCOME.PARTIAL : OUTCOME.APPROVED;
+}
+
+// AVS / CVV result codes (keyed sales) -> match | partial | no-match; anything else is 'unavailable'
+// (not requested, not supported by the issuer, ...)
+const AVS_CLASS = { Y: 'match', X: 'match', D: 'match', M: 'match', F: 'match', A: 'partial', B: 'partial', Z: 'partial', W: 'partial', P: 'partial', N: 'no-match', C: 'no-match' };
+const CVV_CLASS = { M: 'match', N: 'no-match' };
+
+function verificationOf(host) {
+  const avsCode = pick(host.AvsResultCode, host.avsResultCode, host.avsResponseCode);
+  const cvvCode = pick(host.CvvResultCode, host.cvvResultCode, host.cvvResponseCode);
+  return {
+    avsCode, avsText: pick(host.AvsResultText, host.avsResultText),
+    avsMatch: avsCode == null ? null : AVS_CLASS[String(avsCode).toUpperCase()] || 'unavailable',
+    cvvCode, cvvText: pick(host.CvvResultText, host.cvvResultText),
+    cvvMatch: cvvCode == null ? null : CVV_CLASS[String(cvvCode).toUpperCase()] || 'unavailable',
+  };
+}
+
+function parseTerminalResult(rsp) {
+  const parts = unwrap(rsp);
+  const { inner, cmdResult } = parts;
+  const host = inner.host || {};
+  const payment = inner.payment || {};
+  const txn = inner.transaction || {};
+  const outcome = outcomeOf(rsp, parts);
+  const requested = pick(host.amount, txn.amount, txn.totalAmount, txn.baseAmount);
+  return {
+    outcome,
+    response: parts.response,
+    errorCode: pick(cmdResult.errorCode, outcome === OUTCOME.DECLINED ? host.responseCode : null),
+    errorMessage: pick(cmdResult.errorMessage, outcome === OUTCOME.DECLINED ? host.responseText : null),
+    responseCode: pick(host.responseCode, host.gatewayResponseCode),
+    responseText: pick(host.responseText, inner.responseText),
+    tranNo: pick(host.tranNo, txn.tranNo, inner.tranNo),
+    referenceNumber: pick(host.referenceNumber, txn.referenceNumber, inner.referenceNumber),
+    approvalCode: pick(host.approvalCode, txn.approvalCode),
+    transactionStatus: pick(txn.status),
+    amounts: {
+      requested,
+      authorized: pick(host.authorizedAmount, outcome === OUTCOME.APPROVED ? requested : null),
+      balanceDue: pick(inner.balanceDue),
+    },
+    card: {
+      maskedPan: pick(payment.maskedPAN, txn.maskedPAN),
+      brand: pick(payment.cardType, txn.cardType),
+      entryMode: pick(payment.cardAcquisition, payment.entryMode),
+    },
+    verification: verificationOf(host),
+    emv: inner.emv || null,
+  };
+}
+
+// out is what sendWithFailover resolved with ({ ok, rsp, error, sent, log, attempts, servedBy })
+function normalizeResponse({ requestId, command, out }) {
+  let result;
+  if (out.rsp) {
+    result = parseTerminalResult(out.rsp);
+    // Terminal answered, but the reply couldn't be taken as a whole (too large, parts missing): a financial
+    // command is left in doubt by that just as by no answer at all
+    if (out.error) result = { ...result, outcome: FINANCIAL_COMMANDS.has(command) ? OUTCOME.UNKNOWN : OUTCOME.ERROR, errorCode: out.error, errorMessage: out.error };
+  } else {
+    const inDoubt = out.sent && FINANCIAL_COMMANDS.has(command);
+    result = { ...blankResult(), outcome: inDoubt ? OUTCOME.UNKNOWN : OUTCOME.ERROR, errorCode: out.error, errorMessage: out.error };
+  }
+  return {
+    ok: result.outcome === OUTCOME.APPROVED || result.outcome === OUTCOME.PARTIAL,
+    requestId: String(requestId),
+    command,
+    error: out.error || null,
+    result,
+    rsp: out.rsp || null,
+    parts: out.parts ? out.parts.length : (out.rsp ? 1 : 0),
+    sent: out.sent,
+    attempts: out.attempts,
+    servedBy: out.servedBy,
+    log: out.log,
+  };
+}
+
+// The agent itself failed while handling a command (journal or state file write, ...). Whether it got as far
+// as the terminal isn't known, so sent is null rather than false and the caller must not simply retry.
+function agentFailure({ requestId, command, message }) {
+  const outcome = FINANCIAL_COMMANDS.has(command) ? OUTCOME.UNKNOWN : OUTCOME.ERROR;
+  return {
+    ok: false,
+    requestId: String(requestId),
+    command,
+    error: 'agent-error',
+    result: { ...blankResult(), outcome, errorCode: 'agent-error', errorMessage: message },
+    rsp: null, parts: 0, sent: null, attempts: [], servedBy: null, log: [],
+  };
+}
+
+// Terminal transaction status (StatusInquiry) -> outcome of the command that created it. A voided or
+// reversed transaction took no money, so the caller sees it as declined.
+const STATUS_OUTCOME = {
+  APPROVED: OUTCOME.APPROVED, TIP_ADJUSTED: OUTCOME.APPROVED, SETTLED: OUTCOME.APPROVED, REFUNDED: OUTCOME.APPROVED,
+  PARTIAL_VOIDED: OUTCOME.APPROVED, COMPLETED: OUTCOME.APPROVED, DECLINED: OUTCOME.DECLINED, VOIDED: OUTCOME.DECLINED, REVERSED: OUTCOME.DECLINED,
+};
+// Terminal answered that it has no such transaction (StatusInquiry / Reversal lookups)
+const isNotFound = (result) => result.outcome === OUTCOME.ERROR && /TXN001|NOT FOUND/i.test(`${result.errorCode || ''} ${result.errorMessage || ''}`);
+
+// Transaction record type(s) each in-doubt command leaves on the terminal (StatusInquiry transaction.type)
+const RECORD_TYPES = {
+  Sale: ['Sale'], PreAuth: ['PreAuth'], Refund: ['Refund'], Void: ['Void'],
+  AuthCompletion: ['Capture', 'AuthCompletion'], TipAdjust: ['TipAdjust'],
+};
+
+// Only these get a record of their own, so only for them does "not found" mean it never happened.
+// TipAdjust and an incremental PreAuth (referenceNumber set) change the transaction they point at, and
+// an AuthCompletion's capture may not carry our requestId on every firmware.
+const createsRecord = (command, transaction = {}) =>
+  ['Sale', 'PreAuth', 'Refund', 'Void'].includes(command) && !(command === 'PreAuth' && transaction.referenceNumber);
+
+// What a StatusInquiry (normalized body) says about an in-doubt command -> its result, or null when
+// the answer doesn't settle it (terminal unreachable, transaction still pending, someone else's record, ...).
+// transaction is the block the command was sent with; byInvoice marks a lookup by invoiceNbr, which other
+// transactions may share (a lodging folio's PreAuth, top-ups and completion), so the record type must match.
+// "Not found" only settles anything on a terminal known to index our requestIds (indexesRequestId):
+// firmware that doesn't keep them finds nothing for a transaction that did go through.
+function resolveFromInquiry(command, inquiry, { transaction, byInvoice = false, indexesRequestId = false } = {}) {
+  const r = inquiry.result;
+  if (!inquiry.error && isNotFound(r)) {
+    if (!indexesRequestId || !createsRecord(command, transaction)) return null;
+    // The terminal never recorded it, so nothing was charged
+    return { ...blankResult(), outcome: OUTCOME.DECLINED, response: command, errorCode: r.errorCode, errorMessage: 'Terminal has no record of the transaction' };
+  }
+  if (!inquiry.ok) return null;
+  const type = (unwrap(inquiry.rsp).inner.transaction || {}).type;
+  if (type == null ? byInvoice : !(RECORD_TYPES[command] || [command]).includes(type)) return null;
+  const status = String(r.transactionStatus || '').toUpperCase();
+  const outcome = STATUS_OUTCOME[status];
+  if (!outcome) return null;
+  const declined = outcome === OUTCOME.DECLINED;
+  return {
+    ...r,
+    outcome,
+    response: command,
+    errorCode: declined ? status : null,
+    errorMessage: declined ? `Terminal reports the transaction as ${status}` : null,
+    amounts: { ...r.amounts, authorized: declined ? null : r.amounts.requested },
+  };
+}
+
+// Merges a recovery record from recoverInDoubt ({ state, result, ... }) into the in-doubt body
+function applyRecovery(body, { result, ...recovery }) {
+  if (recovery.state !== 'resolved') return { ...body, recovery };
+  return { ...body, ok: result.outcome === OUTCOME.APPROVED || result.outcome === OUTCOME.PARTIAL, error: null, result, recovery };
+}
+
+// Merges an auto-void record from server.js into an approved sale's body. Once the void went through
+// the sale took no money, so the caller sees a decline (approval details are kept for the receipt trail).
+function applyAutoVoid(body, record) {
+  if (record.state !== 'voided') return { ...body, autoVoid: record };
+  return {
+    ...body,
+    ok: false,
+    autoVoid: record,
+    result: { ...body.result, outcome: OUTCOME.DECLINED, errorCode: 'AUTO_VOIDED', errorMessage: `Voided after approval: ${record.reasons.join('; ')}` },
+  };
+}
+
+// 200 approved/partial, 402 declined, 422 terminal refused the request, 500 agent-side failure,
+// 503 terminal unreachable, 504 no answer in time, 502 anything else on the wire
+function httpStatus(body) {
+  if (body.ok) return 200;
+  if (body.error === 'agent-error') return 500;
+  if (body.result && body.result.outcome === OUTCOME.DECLINED) return 402;
+  if (!body.error) return 422;
+  if (!body.sent) return 503;
+  if (/-timeout$/.test(body.error)) return 504;
+  return 502;
+}
+
+module.exports = { OUTCOME, FINANCIAL_COMMANDS, parseTerminalResult, normalizeResponse, agentFailure, isNotFound, createsRecord, resolveFromInquiry, applyRecovery, applyAutoVoid, httpStatus };
@@ -0,0 +1,132 @@
+// server/reversals.js
+'use strict';
+const path = require('path');
+const { isNotFound } = require('./result');
+const { jsonStore } = require('./json-store');
+
+const STATE = { PENDING: 'pending', REVERSED: 'reversed', NOT_NEEDED: 'not-needed', FAILED: 'failed' };
+const KEEP_SETTLED = 500; // finished reversals kept for GET /reversals
+
+// What a Reversal response (normalized body, see result.js) means for the entry -> { state, error }
+function interpret(body, item) {
+  if (body.error) return { state: STATE.PENDING, error: body.error }; // unreachable / no answer: try again later
+  const r = body.result;
+  if (isNotFound(r)) {
+    // Proof that nothing was charged only where the terminal keeps our requestIds; elsewhere the
+    // transaction may exist under an id we can't look up, so someone has to check by hand
+    return item.indexesRequestId
+      ? { state: STATE.NOT_NEEDED, error: null }
+      : { state: STATE.FAILED, error: `Terminal has no transaction under requestId ${item.requestId} but is not known to keep requestIds; check its batch by hand` };
+  }
+  if (!body.ok) return { state: STATE.FAILED, error: r.errorMessage || r.errorCode };
+  return { state: String(r.transactionStatus).toUpperCase() === 'DECLINED' ? STATE.NOT_NEEDED : STATE.REVERSED, error: null };
+}
+
+// Timeout reversals (SAF-void): a Sale / PreAuth whose outcome the terminal couldn't confirm is reversed
+// once its grace period is over, so a retried sale can't charge the customer twice. Pending reversals are
+// persisted in reversals.json and retried until the terminal answers, across restarts too.
+// Entry: { requestId, command, ip, port, altPort, ecrId, invoiceNbr, indexesRequestId, timeouts, sentAt, dueAt, state,
+//          attempts, nextAttemptAt, lastError, reversalRequestId, result, createdAt, updatedAt }
+//   settings()                -> { graceMs, retryMs, maxAttempts }
+//   execute(entry, { inLane }) -> normalized Reversal response; inLane when the caller already holds the terminal
+//   onUpdate(entry)           -> after every attempt (journal, events, request tracker)
+function createReversalQueue(dir, { settings, execute, onUpdate }) {
+  const store = jsonStore(path.join(dir, 'reversals.json'));
+  let items = store.load([]);
+  const inFlight = new Set();
+  let timer = null;
+
+  function save() {
+    const settled = items.filter(i => i.state !== STATE.PENDING);
+    if (settled.length > KEEP_SETTLED) {
+      const drop = new Set(settled.slice(0, settled.length - KEEP_SETTLED));
+      items = items.filter(i => !drop.has(i));
+    }
+    store.save(items);
+  }
+
+  const view = ({ timeouts, ...i }) => ({ ...i, inFlight: inFlight.has(i.requestId) });
+  const find = (requestId) => items.find(i => i.requestId === String(requestId)) || null;
+  const nextAt = (i) => Math.max(Date.parse(i.dueAt), i.nextAttemptAt ? Date.parse(i.nextAttemptAt) : 0);
+  const isDue = (i, now = Date.now()) => i.state === STATE.PENDING && !inFlight.has(i.requestId) && Date.parse(i.dueAt) <= now;
+
+  async function attempt(item, { inLane = false } = {}) {
+    if (inFlight.has(item.requestId) || item.state !== STATE.PENDING) return item;
+    inFlight.add(item.requestId);
+    try {
+      let body;
+      try { body = await execute(item, { inLane }); } catch (err) { body = { error: err.message, result: {} }; }
+      const { state, error } = interpret(body, item);
+      const now = new Date();
+      item.attempts += 1;
+      item.reversalRequestId = body.requestId || item.reversalRequestId;
+      item.result = body.result || null;
+      item.lastError = error;
+      item.state = state === STATE.PENDING && item.attempts >= settings().maxAttempts ? STATE.FAILED : state;
+      item.nextAttemptAt = item.state === STATE.PENDING ? new Date(now.getTime() + settings().retryMs).toISOString() : null;
+      item.updatedAt = now.toISOString();
+      save();
+    } finally {
+      inFlight.delete(item.requestId);
+    }
+    onUpdate(view(item));
+    return item;
+  }
+
+  function schedule() {
+    clearTimeout(timer);
+    timer = null;
+    const waiting = items.filter(i => i.state === STATE.PENDING && !inFlight.has(i.requestId));
+    if (!waiting.length) return;
+    const next = Math.min(...waiting.map(nextAt));
+    timer = setTimeout(() => runDue().catch(err => console.error('Reversal retry failed:', err.message)), Math.min(Math.max(next - Date.now(), 0), 2 ** 31 - 1));
+    timer.unref();
+  }
+
+  async function runDue() {
+    const now = Date.now();
+    for (const i of items.filter(x => isDue(x, now) && nextAt(x) <= now)) await attempt(i);
+    schedule();
+  }
+
+  // Registers the reversal for an in-doubt request. When the grace period is already over and the
+  // caller holds the terminal (inLane), the first attempt runs right away so the response can carry it.
+  async function open({ requestId, command, ip, port, altPort, ecrId, invoiceNbr, indexesRequestId = false, timeouts, sentAt }, { inLane = false } = {}) {
+    const existing = find(requestId);
+    if (existing) return view(existing);
+    const now = new Date().toISOString();
+    const item = {
+      requestId: String(requestId), command, ip, port, altPort, ecrId: String(ecrId), invoiceNbr: invoiceNbr ?? null, indexesRequestId: !!indexesRequestId, timeouts,
+      sentAt, dueAt: new Date(Date.parse(sentAt) + settings().graceMs).toISOString(), state: STATE.PENDING,
+      attempts: 0, nextAttemptAt: null, lastError: null, reversalRequestId: null, result: null, createdAt: now, updatedAt: now,
+    };
+    items.push(item);
+    save();
+    if (inLane && isDue(item)) await attempt(item, { inLane: true });
+    schedule();
+    return view(item);
+  }
+
+  // The terminal is reachable again: try its due reversals now instead of waiting for the retry delay
+  async function retry(ip, port) {
+    const due = items.filter(i => isDue(i) && i.ip === ip && Number(i.port) === Number(port));
+    for (const i of due) await attempt(i);
+    if (due.length) schedule();
+  }
+
+  // Operator "retry now" (also before the grace period is over)
+  async function retryOne(requestId) {
+    const item = find(requestId);
+    if (!item) return null;
+    await attempt(item);
+    schedule();
+    return view(item);
+  }
+
+  const list = ({ state } = {}) => items.filter(i => !state || i.state === state).map(view).reverse();
+  const get = (requestId) => { const i = find(requestId); return i ? view(i) : null; };
+
+  return { open, retry, retryOne, list, get, start: schedule };
+}
+
+module.exports = { STATE, createReversalQueue };
@@ -0,0 +1,290 @@
+// server/schemas.js
+'use strict';
+const { parseMinor } = require('./money');
+
+// Request schemas per terminal command, written as plain JSON Schema (draft-07) so the same documents
+// can be served from GET /schemas and used by POS clients with any JSON Schema validator.
+// validateCommand below understands the keywords they use: type, properties, required, enum, pattern,
+// minLength, maxLength, minimum, exclusiveMinimum, maximum, oneOf / anyOf / not, description, and
+// format ('amount' = decimal in the configured currency's minor units | 'mmddyyyy' = a real date).
+const DRAFT_07 = 'http://json-schema.org/draft-07/schema#';
+
+// Decimal string as money.parseMinor reads it; ZERO is one that adds up to nothing
+const DECIMAL = '^\\s*[0-9]+(\\.[0-9]*)?\\s*$';
+const ZERO = '^\\s*0+(\\.0*)?\\s*$';
+
+const amount = (description, { positive = false } = {}) => ({
+  type: ['string', 'number'],
+  format: 'amount',
+  oneOf: [
+    positive ? { type: 'string', pattern: DECIMAL, not: { pattern: ZERO }, description: 'must be greater than 0' } : { type: 'string', pattern: DECIMAL },
+    positive ? { type: 'number', exclusiveMinimum: 0 } : { type: 'number', minimum: 0 },
+  ],
+  description,
+});
+const flag = (description) => ({ enum: [0, 1, '0', '1'], description });
+// A value POS systems send either as a string or as an integer: pattern checks the one, integer the other
+const stringOrInteger = (pattern, integer, description) => ({
+  type: ['string', 'integer'],
+  oneOf: [{ type: 'string', pattern }, { type: 'integer', ...integer }],
+  ...(description ? { description } : {}),
+});
+const id = (description, max = 20) => stringOrInteger(`^[A-Za-z0-9-]{1,${max}}$`, { minimum: 0 }, description);
+const date = (description) => ({ type: 'string', format: 'mmddyyyy', description });
+
+const PARAMS = {
+  type: 'object',
+  properties: {
+    clerkId: stringOrInteger('^[0-9]{1,10}$', { minimum: 0, maximum: 9999999999 }, 'Clerk / server number'),
+    cardType: { type: 'string', minLength: 1, maxLength: 20 },
+    expiryDate: { type: 'string', pattern: '^[0-9]{4}$', description: 'MMYY' },
+    cardAcquisition: { enum: ['MANUAL', 'INSERT', 'SWIPE', 'TAP'], description: 'MANUAL = keyed, card not present' },
+    avsAddress: { type: ['string', 'integer'], minLength: 1, maxLength: 40, description: 'Street number / address for AVS (keyed sales)' },
+    avsZip: stringOrInteger('^[A-Za-z0-9 -]{3,10}$', { minimum: 0, maximum: 9999999999 }, 'ZIP / postal code for AVS (keyed sales)'),
+  },
+};
+
+// Card typed at the POS for a manual sale; only accepted with allowPosKeyedCard (otherwise it is keyed on the terminal)
+const CARD = {
+  type: 'object',
+  required: ['pan', 'expiryDate'],
+  properties: {
+    pan: { type: 'string', pattern: '^[0-9]{13,19}$', description: 'Card number' },
+    expiryDate: { type: 'string', pattern: '^(0[1-9]|1[0-2])[0-9]{2}$', description: 'MMYY' },
+    cvv: { type: 'string', pattern: '^[0-9]{3,4}$', description: 'Card security code' },
+  },
+};
+
+const LODGING = {
+  type: 'object',
+  properties: {
+    folioNumber: id('Hotel folio number'),
+    stayDuration: stringOrInteger('^0*[1-9][0-9]?$', { minimum: 1, maximum: 99 }, 'Nights, 1-99'),
+    checkInDate: date('MMDDYYYY'),
+    checkOutDate: date('MMDDYYYY'),
+    dailyRate: amount('Room rate per night'),
+    preferredCustomer: flag('0/1'),
+    extraChargeTypes: stringOrInteger('^[0-9,]{0,20}$', { minimum: 0 }, 'Comma-separated extra charge type codes'),
+    extraChargeTotal: amount('Sum of extra charges'),
+    advanceDepositType: stringOrInteger('^[0-9]{1,2}$', { minimum: 0, maximum: 99 }),
+    noShow: flag('0/1'),
+    cardBrandTransID: { type: 'string', minLength: 1, maxLength: 40 },
+  },
+};
+
+// Exactly one way of identifying the original transaction
+const ONE_ORIGINAL = {
+  oneOf: [{ required: ['tranNo'] }, { required: ['referenceNumber'] }],
+  description: 'Provide either tranNo or referenceNumber, not both',
+};
+
+const txn = (properties, required = [], extra = {}) => ({ type: 'object', properties, required, ...extra });
+
+const SCHEMAS = {
+  Sale: {
+    $schema: DRAFT_07,
+    type: 'object',
+    required: ['transaction'],
+    properties: {
+      params: PARAMS,
+      transaction: txn({
+        baseAmount: amount('Sale amount before tip/tax/cashback', { positive: true }),
+        tipAmount: amount('Tip'),
+        taxAmount: amount('Tax'),
+        cashBackAmount: amount('Cash back'),
+        totalAmount: amount('Optional; must equal baseAmount + tipAmount + taxAmount + cashBackAmount'),
+        taxIndicator: { enum: [0, 1, 2, '0', '1', '2'] },
+        allowDuplicate: flag('1 lets the same amount through twice in a row'),
+        allowPartialAuth: flag('1 accepts a partial approval'),
+        invoiceNbr: id('Invoice number'),
+      }, ['baseAmount']),
+      lodging: LODGING,
+    },
+  },
+  // POST /sale/manual: a Sale with params.cardAcquisition MANUAL
+  ManualSale: {
+    $schema: DRAFT_07,
+    type: 'object',
+    required: ['transaction'],
+    properties: {
+      params: PARAMS,
+      transaction: txn({
+        baseAmount: amount('Sale amount before tip/tax', { positive: true }),
+        tipAmount: amount('Tip'),
+        taxAmount: amount('Tax'),
+        totalAmount: amount('Optional; must equal baseAmount + tipAmount + taxAmount'),
+        allowDuplicate: flag('1 lets the same amount through twice in a row'),
+        invoiceNbr: id('Invoice number'),
+      }, ['baseAmount'], { not: { required: ['cashBackAmount'] }, description: 'No cashBackAmount on a keyed sale: cash back needs the card present' }),
+      card: CARD,
+    },
+  },
+  PreAuth: {
+    $schema: DRAFT_07,
+    type: 'object',
+    required: ['transaction'],
+    properties: {
+      params: PARAMS,
+      transaction: txn({
+        amount: amount('Amount to authorize', { positive: true }),
+        preAuthAmount: amount('Incremental authorization amount'),
+        referenceNumber: id('Original PreAuth, for an incremental authorization'),
+        allowDuplicate: flag('0/1'),
+      }, ['amount']),
+      lodging: LODGING,
+    },
+  },
+  AuthCompletion: {
+    $schema: DRAFT_07,
+    type: 'object',
+    required: ['transaction'],
+    properties: {
+      params: PARAMS,
+      transaction: txn({
+        tranNo: id('Original PreAuth tranNo'),
+        referenceNumber: id('Original PreAuth referenceNumber'),
+        amount: amount('Final amount to capture', { positive: true }),
+        tipAmount: amount('Tip'),
+      }, ['amount'], ONE_ORIGINAL),
+      lodging: LODGING,
+    },
+  },
+  Void: {
+    $schema: DRAFT_07,
+    type: 'object',
+    required: ['transaction'],
+    properties: {
+      params: PARAMS,
+      transaction: txn({
+        tranNo: id('Transaction to void'),
+        referenceNumber: id('Transaction to void'),
+        invoiceNbr: id('Invoice number'),
+      }, [], ONE_ORIGINAL),
+    },
+  },
+  Refund: {
+    $schema: DRAFT_07,
+    type: 'object',
+    required: ['transaction'],
+    properties: {
+      params: PARAMS,
+      transaction: txn({
+        totalAmount: amount('Amount to refund', { positive: true }),
+        tranNo: id('Original sale'),
+        referenceNumber: id('Original sale'),
+        invoiceNbr: id('Invoice number'),
+        allowDuplicate: flag('0/1'),
+      }, ['totalAmount'], { not: { required: ['tranNo', 'referenceNumber'] }, description: 'tranNo and referenceNumber are mutually exclusive' }),
+    },
+  },
+  TipAdjust: {
+    $schema: DRAFT_07,
+    type: 'object',
+    required: ['transaction'],
+    properties: {
+      params: PARAMS,
+      transaction: txn({
+        tipAmount: amount('New tip amount'),
+        tranNo: id('Transaction to adjust'),
+        referenceNumber: id('Transaction to adjust'),
+        invoiceNbr: id('Invoice number'),
+      }, ['tipAmount'], ONE_ORIGINAL),
+    },
+  },
+  StatusInquiry: {
+    $schema: DRAFT_07,
+    type: 'object',
+    required: ['transaction'],
+    properties: {
+      transaction: txn({
+        tranNo: id('Transaction to look up'),
+        referenceNumber: id('Transaction to look up'),
+        responseId: id('Transaction to look up'),
+        requestId: id('requestId of the command that created it (for a lost response)'),
+        invoiceNbr: id('Invoice number of the command that created it'),
+      }, [], {
+        anyOf: ['tranNo', 'referenceNumber', 'responseId', 'requestId', 'invoiceNbr'].map(k => ({ required: [k] })),
+        description: 'Provide tranNo, referenceNumber, responseId, requestId or invoiceNbr',
+      }),
+    },
+  },
+  Ping: { $schema: DRAFT_07, type: 'object', properties: {} },
+  EODProcessing: { $schema: DRAFT_07, type: 'object', properties: { params: PARAMS } },
+};
+
+/* ---------------- validator ---------------- */
+
+const typeOf = (v) => (Array.isArray(v) ? 'array' : Number.isInteger(v) ? 'integer' : typeof v);
+const typeMatches = (v, t) => typeOf(v) === t || (t === 'number' && typeOf(v) === 'integer');
+
+function validDate(s) {
+  const m = /^(\d{2})(\d{2})(\d{4})$/.exec(s);
+  if (!m) return false;
+  const d = new Date(Number(m[3]), Number(m[1]) - 1, Number(m[2]));
+  return d.getMonth() === Number(m[1]) - 1 && d.getDate() === Number(m[2]);
+}
+
+function validateNode(schema, value, field, errors, opts) {
+  const push = (message) => errors.push({ field, message });
+  if (schema.type) {
+    const types = [].concat(schema.type);
+    if (!types.some(t => typeMatches(value, t))) return push(`must be of type ${types.join(' or ')}`);
+  }
+  if (schema.enum && !schema.enum.includes(value)) return push(`must be one of ${[...new Set(schema.enum.map(String))].join(', ')}`);
+  if (schema.format === 'amount') {
+    const parsed = parseMinor(value, opts.minorUnits);
+    if (parsed.error) return push(parsed.error);
+  }
+  if (typeof value === 'string') {
+    if (schema.format === 'mmddyyyy' && !validDate(value)) return push('must be a valid date in MMDDYYYY format');
+    if (schema.minLength != null && value.length < schema.minLength) return push(`must be at least ${schema.minLength} characters`);
+    if (schema.maxLength != null && value.length > schema.maxLength) return push(`must be at most ${schema.maxLength} characters`);
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) return push(`must match ${schema.pattern}`);
+  }
+  if (typeof value === 'number') {
+    if (schema.minimum != null && value < schema.minimum) return push(`must be at least ${schema.minimum}`);
+    if (schema.exclusiveMinimum != null && !(value > schema.exclusiveMinimum)) return push(`must be greater than ${schema.exclusiveMinimum}`);
+    if (schema.maximum != null && value > schema.maximum) return push(`must be at most ${schema.maximum}`);
+  }
+
+  const check = (s) => { const out = []; validateNode(s, value, field, out, opts); return out; };
+  if (schema.oneOf) {
+    const results = schema.oneOf.map(check);
+    const passed = results.filter(r => !r.length).length;
+    // Nothing fits: when one alternative is for this value's type, its errors say why
+    const own = schema.oneOf.findIndex(s => s.type && [].concat(s.type).some(t => typeMatches(value, t)));
+    if (!passed && own >= 0) errors.push(...results[own]);
+    else if (passed !== 1) push(schema.description || 'must match exactly one alternative');
+  }
+  if (schema.anyOf && !schema.anyOf.some(s => !check(s).length)) push(schema.description || 'must match at least one alternative');
+  if (schema.not && !check(schema.not).length) push(schema.description || 'contains a forbidden combination of fields');
+
+  if (typeOf(value) !== 'object' || value === null) return;
+  for (const k of schema.required || []) if (value[k] === undefined) errors.push({ field: field ? `${field}.${k}` : k, message: 'is required' });
+  for (const [k, sub] of Object.entries(schema.properties || {})) {
+    if (value[k] !== undefined) validateNode(sub, value[k], field ? `${field}.${k}` : k, errors, opts);
+  }
+}
+
+// Validates { params, transaction, lodging } for a command; unknown commands are passed through.
+// Returns an array of { field, message } (empty when valid).
+function validateCommand(command, blocks, { minorUnits = 2 } = {}) {
+  const schema = SCHEMAS[command];
+  if (!schema) return [];
+  const errors = [];
+  const value = Object.fromEntries(Object.entries(blocks).filter(([, v]) => v != null));
+  validateNode(schema, value, '', errors, { minorUnits });
+  return errors;
+}
+
+// { transaction: ['baseAmount', ...], lodging: [...] } - the fields of a command that carry money
+function amountFields(command) {
+  const out = {};
+  for (const [block, sub] of Object.entries((SCHEMAS[command] || {}).properties || {})) {
+    const fields = Object.keys(sub.properties || {}).filter(k => sub.properties[k].format === 'amount');
+    if (fields.length) out[block] = fields;
+  }
+  return out;
+}
+
+module.exports = { SCHEMAS, validateCommand, amountFields };
@@ -3,132 +3,95 @@
 const { log } = require('console');
 const express = require('express');
 const net = require('net');
+const path = require('path');
+const { createJournal } = require('./journal');
+const events = require('./events');
+const { createRequestTracker } = require('./requests');
+const { createTerminalQueue } = require('./terminal-queue');
+const { createTerminalRegistry } = require('./terminals');
+const { createHealthMonitor } = require('./monitor');
+const { createIdempotencyStore } = require('./idempotency');
+const { createRequestIdAllocator } = require('./request-ids');
+const { OUTCOME, FINANCIAL_COMMANDS, normalizeResponse, isNotFound, createsRecord, resolveFromInquiry, applyRecovery, applyAutoVoid, httpStatus } = require('./result');
+const { SCHEMAS, validateCommand, amountFields } = require('./schemas');
+const { createMoney } = require('./money');
+const { createAuthStore } = require('./auth');
+const { createClerkRegistry } = require('./clerks');
+const { createConfigStore } = require('./config');
+const { createReversalQueue } = require('./reversals');
+const { expectedResponses } = require('./framing');
+const { createTerminalClient } = require('./terminal-client');
+const { DEBUG_LEVELS, redact, patchConsole, applyDebugLevel } = require('./redact');
+
+patchConsole(); // nothing the agent prints may carry card data
+const PRODUCTION = process.env.AGENT_PRODUCTION === '1'; // set by main.js in packaged builds
 
 const app = express();
-app.use(express.json()); // accept JSON POST bodies
+// accept JSON POST bodies; the raw bytes are kept for HMAC-signed requests
+app.use(express.json({ verify: (req, res, buf) => { req.rawBody = buf; } }));
 
 const HTTP_PORT = process.env.AGENT_HTTP_PORT || 3000;
-
-// Defaults (override via env or per-request query/body)
-let CONFIG = {
-  terminalIp: process.env.TERMINAL_IP || '192.168.1.91',
-  primaryPort: Number(process.env.TERMINAL_PORT || 8081),
-  altPort: Number(process.env.TERMINAL_PORT_ALT || 8080),
-  ecrId: process.env.ECR_ID || '13',
-  connectTimeoutMs: Number(process.env.CONNECT_TIMEOUT_MS || 5000),
-  readTimeoutMs: Number(process.env.READ_TIMEOUT_MS || 180000),      // 3 min ceiling
-  idleByteTimeoutMs: Number(process.env.IDLE_BYTE_TIMEOUT_MS || 25000), // 25s no-activity cutoff
-};
-
-
-
-
-
-// Framing bytes: <STX><LF> JSON <LF><ETX><LF>
-const STX = 0x02, LF = 0x0A, ETX = 0x03;
-
-// Utilities
-const as2dp = (v) => (Number.isFinite(v) ? v : parseFloat(v)).toFixed(2);       // 12.34
-const reqId = (digits = 6) => String(Date.now() % (10 ** digits)).padStart(digits, '0'); // 6–10 digits
-const frameJson = (obj) => {
-  const j = Buffer.from(JSON.stringify(obj), 'ascii');
-  return Buffer.concat([Buffer.from([STX, LF]), j, Buffer.from([LF, ETX, LF])]);
-};
-const stripFrame = (buf) => buf.toString('ascii').replace(/[\x02\x03\x0A\x0D\x00]/g, '').trim();
-
-class FrameAccumulator {
-  constructor(onFrame) { this.onFrame = onFrame; this.buf = Buffer.alloc(0); }
-  push(chunk) {
-    this.buf = Buffer.concat([this.buf, chunk]);
-    // find <STX> ... <ETX> windows repeatedly
-    while (true) {
-      const s = this.buf.indexOf(STX);
-      if (s < 0) { this.buf = Buffer.alloc(0); return; }
-      const e = this.buf.indexOf(ETX, s + 1);
-      if (e < 0) { if (s > 0) this.buf = this.buf.slice(s); return; }
-      const raw = this.buf.slice(s + 1, e);
-      this.onFrame(stripFrame(raw), raw);
-      this.buf = this.buf.slice(e + 1);
-    }
-  }
+// Loopback only unless the POS runs on another machine (AGENT_BIND_HOST=0.0.0.0 opts into the LAN)
+const BIND_HOST = process.env.AGENT_BIND_HOST || '127.0.0.1';
+// Electron sets AGENT_DATA_DIR to its userData folder; standalone runs keep data next to the server
+const DATA_DIR = process.env.AGENT_DATA_DIR || path.join(__dirname, 'data');
+
+// Effective settings (defaults < config.json < env < POST /config); see server/config.js.
+// Routes still take per-request ip/port/ecrId/terminalId overrides on top of these.
+const configStore = createConfigStore(DATA_DIR);
+let CONFIG = configStore.effective();
+
+const journal = createJournal(DATA_DIR, { settings: () => ({ rotateBytes: CONFIG.journalRotateBytes, retentionDays: CONFIG.journalRetentionDays }) });
+const tracker = createRequestTracker({ subscribe: events.subscribe });
+const terminalQueue = createTerminalQueue();
+const terminals = createTerminalRegistry(DATA_DIR);
+const requestIds = createRequestIdAllocator(DATA_DIR, { digits: () => CONFIG.requestIdDigits });
+process.on('exit', () => requestIds.flush()); // reuse detection keeps the ids of the last second too
+const idempotency = createIdempotencyStore(DATA_DIR, { ttlMs: () => CONFIG.idempotencyTtlHours * 3600 * 1000 });
+const auth = createAuthStore(DATA_DIR);
+auth.localKey(); // make sure the window's key exists before main.js asks for it
+auth.adminKey();
+console.log(`Administrator API key (settings, terminal registry, clerks): see ${auth.file}`);
+const clerks = createClerkRegistry(DATA_DIR);
+const money = createMoney(() => ({ currency: CONFIG.currency, minorUnits: CONFIG.minorUnits }));
+const { send: sendCommandTcp } = createTerminalClient({ settings: () => CONFIG, journal, events });
+
+
+// Per ip:port connection outcomes, reported on /health
+const portStats = new Map();
+function notePort(ip, port, error) {
+  const key = `${ip}:${port}`;
+  const st = portStats.get(key) || { attempts: 0, failures: 0, served: 0, lastError: null, lastFailureAt: null };
+  st.attempts++;
+  if (error) { st.failures++; st.lastError = error; st.lastFailureAt = new Date().toISOString(); }
+  else st.served++;
+  portStats.set(key, st);
 }
 
-// Low-level TCP call with ACK/MSG/ACK handling
-
-
-function sendCommandTcp({ ip, port, payload, timeouts }) {
-  return new Promise((resolve) => {
-    const log = [];
-    const ev = (type, msg, data) => log.push({ t: new Date().toISOString(), type, msg, data });
-    const sock = new net.Socket();
-    let finished = false;
-
-    const connectMs = timeouts.connect ?? CONFIG.connectTimeoutMs;
-    const readMs    = timeouts.read    ?? CONFIG.readTimeoutMs;
-    const idleMs    = timeouts.idle    ?? CONFIG.idleByteTimeoutMs;
-
-    let overallTimer, idleTimer;
-    function armOverall() { clearTimeout(overallTimer); overallTimer = setTimeout(() => done('read-timeout'), readMs); }
-    function armIdle()    { clearTimeout(idleTimer);    idleTimer    = setTimeout(() => done('idle-timeout'), idleMs); }
-    function clearTimers(){ clearTimeout(overallTimer); clearTimeout(idleTimer); }
-
-    function done(error, rsp) {
-      if (finished) return;
-      finished = true;
-      clearTimers();
-      try { sock.destroy(); } catch {}
-      if (error) return resolve({ ok: false, error, log });
-      resolve({ ok: true, rsp, log });
-    }
-
-    // Accumulate raw chunks
-    let buffer = Buffer.alloc(0);
-    function processFrames() {
-      const s = buffer.indexOf(STX);
-      const e = buffer.indexOf(ETX, s+1);
-      if (s !== -1 && e !== -1) {
-        const raw = buffer.slice(s+1, e);
-        buffer = buffer.slice(e+1);
-        const text = raw.toString('utf8').trim();
-        if (!text) return;
-        ev('recv-json', text);
-        let obj; try { obj = JSON.parse(text); } catch { ev('warn','Non-JSON'); return; }
-
-        if (obj.message === 'ACK') { ev('event','ACK from terminal'); return; }
-        if (['EVT','DSP','PIN','CNF','READY'].includes(obj.message)) {
-          ev('event', `progress ${obj.message}`, obj); return;
-        }
-        if (obj.message === 'RSP' || obj.message === 'ERR' || obj.message === 'MSG') {
-          // Final responses depending on firmware
-          return done(null, obj);
-        }
-        ev('event', `Unhandled ${obj.message}`, obj);
-      }
-    }
-
-    sock.on('data', (chunk) => {
-      ev('recv-bytes', chunk.toString('hex'));
-      buffer = Buffer.concat([buffer, chunk]);
-      armIdle();
-      processFrames();
-    });
-    sock.on('error', (err) => { ev('error', err.message); done(err.message); });
-
-    const connectGuard = setTimeout(() => { done('connect-timeout'); }, connectMs);
-
-    sock.connect(port, ip, () => {
-      clearTimeout(connectGuard);
-      ev('event', `TCP CONNECT ${ip}:${port}`);
-      const frame = frameJson(payload);
-      sock.write(frame);
-      ev('send-json', JSON.stringify(payload));
-      ev('send-bytes', [...frame].map(b => '0x'+b.toString(16).padStart(2,'0')).join(' '));
-      armOverall(); armIdle();
-    });
-  });
+// Refused / timed-out connects are safe to retry: nothing reached the terminal
+const isConnectFailure = (out) => !out.sent && (out.error === 'connect-timeout' || /ECONNREFUSED/.test(out.error));
+
+// sendCommandTcp on the primary port, falling back to altPort only when the primary could not be
+// connected to. Once bytes have been written the outcome stands, even for a failure.
+async function sendWithFailover({ ip, port, altPort, payload, timeouts }) {
+  const ports = [port, altPort].filter((p, i, all) => p && all.indexOf(p) === i).map(Number);
+  const attempts = [];
+  const log = [];
+  let out;
+  for (const p of ports) {
+    out = await sendCommandTcp({ ip, port: p, payload, timeouts });
+    log.push(...out.log);
+    attempts.push({ port: p, ok: out.ok, error: out.error || null });
+    notePort(ip, p, isConnectFailure(out) ? out.error : null);
+    if (!isConnectFailure(out) || p === ports[ports.length - 1]) break;
+    const next = ports[ports.indexOf(p) + 1];
+    log.push({ t: new Date().toISOString(), type: 'failover', msg: `${ip}:${p} ${out.error}; trying alternate port ${next}` });
+    events.publish({ type: 'failover', requestId: String(payload.data.requestId), command: payload.data.command, ip, port: p, data: { error: out.error, next } });
+  }
+  const servedBy = out.sent ? attempts[attempts.length - 1].port : null;
+  return { ...out, log, attempts, servedBy };
 }
 
-
 // Build standard envelope
 function buildEnvelope(command, ecrId, requestId, dataObj) {
   return {
@@ -151,339 +114,876 @@ function checkAvailability(ip, port, timeoutMs) {
   });
 }
 
-/* ======================== HTTP API ======================== */
+// In-doubt recovery: a financial command that went out but got no answer (outcome unknown, see result.js)
+// is looked up on the terminal by its requestId before the caller is told anything. Runs inside the
+// terminal's lane, so nothing else reaches the terminal in between. Only a terminal that indexes
+// requestIds (indexesRequestId) can prove by "not found" that the command never ran; anything left
+// unresolved is flagged for manual review.
+async function recoverInDoubt({ ip, port, altPort, payload, timeouts }, body, { indexesRequestId }) {
+  const { requestId, command, EcrId } = payload.data;
+  const transaction = payload.data.data?.transaction || {};
+  const invoiceNbr = transaction.invoiceNbr != null && transaction.invoiceNbr !== '' ? String(transaction.invoiceNbr) : null;
+  const servedBy = body.servedBy || port;
+  const log = [...(body.log || [])];
+  let record = { state: 'unresolved', attempts: 0, originalError: body.error, lastError: body.error };
+  let notFound = false; // last inquiry found no such transaction
+
+  const inquire = async (lookup, attempt) => {
+    const inquiryId = nextRequestId();
+    const [[by, value]] = Object.entries(lookup);
+    log.push({ t: new Date().toISOString(), type: 'recovery', msg: `${command} ${requestId} in doubt (${body.error}); StatusInquiry ${inquiryId} by ${by} ${value}, attempt ${attempt}` });
+    const out = await sendWithFailover({ ip, port: servedBy, altPort, payload: buildEnvelope('StatusInquiry', EcrId, inquiryId, { transaction: lookup }), timeouts });
+    log.push(...out.log);
+    return normalizeResponse({ requestId: inquiryId, command: 'StatusInquiry', out });
+  };
 
-// Health & availability
-app.get('/health', async (req, res) => {
-  const ip = req.query.ip || CONFIG.terminalIp;
-  const port = Number(req.query.port || CONFIG.primaryPort);
-  const a = await checkAvailability(ip, port, CONFIG.connectTimeoutMs);
-  res.json({ ok: a.ok, info: a.info, config: CONFIG });
-});
-app.get('/availability', async (req, res) => {
-  const ip = req.query.ip || CONFIG.terminalIp;
-  const port = Number(req.query.port || CONFIG.primaryPort);
-  const a = await checkAvailability(ip, port, CONFIG.connectTimeoutMs);
-  res.json(a);
-});
+  for (let attempt = 1; attempt <= CONFIG.recoveryAttempts; attempt++) {
+    events.publish({ type: 'recovery', requestId, command, ip, port: servedBy, data: { attempt, of: CONFIG.recoveryAttempts, lookup: { requestId: String(requestId), invoiceNbr } } });
+    await new Promise(r => setTimeout(r, CONFIG.recoveryDelayMs));
+    let inquiry = await inquire({ requestId: String(requestId) }, attempt);
+    let result = resolveFromInquiry(command, inquiry, { transaction, indexesRequestId });
+    let lastError = null;
+    // Firmware that doesn't keep our requestId may still find it by invoice number; a record found that
+    // way only counts when it is the same kind of transaction (see resolveFromInquiry)
+    if (invoiceNbr && !inquiry.error && isNotFound(inquiry.result)) {
+      const byInvoice = await inquire({ invoiceNbr }, attempt);
+      if (byInvoice.error || !isNotFound(byInvoice.result)) {
+        inquiry = byInvoice;
+        result = resolveFromInquiry(command, byInvoice, { transaction, byInvoice: true, indexesRequestId });
+        if (!result && byInvoice.ok) lastError = `invoiceNbr ${invoiceNbr} found, but not as a ${command}`;
+      }
+    }
+    record = { ...record, attempts: attempt, inquiryRequestId: inquiry.requestId };
+    notFound = !inquiry.error && isNotFound(inquiry.result);
+    if (result) {
+      record = { ...record, state: 'resolved', status: inquiry.result.transactionStatus, lastError: null, result };
+      break;
+    }
+    record.lastError = lastError || inquiry.error || inquiry.result.errorMessage || (inquiry.result.transactionStatus ? `transaction status ${inquiry.result.transactionStatus}` : 'no matching transaction');
+  }
+  if (record.state === 'unresolved') {
+    record.review = notFound && !indexesRequestId && createsRecord(command, transaction)
+      ? `Terminal has no ${command} under requestId ${requestId}, but it is not known to keep requestIds: check its batch before running the ${command} again`
+      : `Outcome of ${command} ${requestId} is unknown: check the terminal before running it again`;
+  }
 
-// Ping
-app.get('/ping', async (req, res) => {
-  const ip = req.query.ip || CONFIG.terminalIp;
-  const port = Number(req.query.port || CONFIG.primaryPort);
-  const ecrId = req.query.ecrId || CONFIG.ecrId;
-  const requestId = reqId(6);
+  journal.append({ requestId, command, ip, port: servedBy, ecrId: String(EcrId), kind: 'recovery', data: record });
+  events.publish({ type: 'recovery', requestId, command, ip, port: servedBy, data: { state: record.state, outcome: record.result ? record.result.outcome : OUTCOME.UNKNOWN, review: record.review || null } });
+  return applyRecovery({ ...body, log }, record);
+}
 
-  const payload = buildEnvelope('Ping', ecrId, requestId, null);
-  const out = await sendCommandTcp({
-    ip, port, payload,
-    timeouts: { connect: CONFIG.connectTimeoutMs, read: CONFIG.readTimeoutMs }
-  });
-  res.json({ requestId, ...out });
-});
-// LOCATION: server.js (or routes/pos.js) — replace the whole /sale handler
-app.post('/sale', async (req, res) => {
-  try {
-    // --- 1) Accept BOTH shapes: top-level OR nested under "sale" (renderer uses this) ---
-    const body = req.body || {};
-    console.log("req.body" , req.body)
-    const nested = body.sale || {};
-    const conn = {
-      ip:   body.ip   ?? CONFIG.terminalIp,
-      port: body.port ?? CONFIG.primaryPort,
-      ecrId: String(body.ecrId ?? CONFIG.ecrId),
-    };
+// AVS / CVV results of an approved sale that CONFIG says must not stand -> reasons (empty = keep it)
+function verificationFailures({ verification: v }) {
+  const reasons = [];
+  const avsFails = CONFIG.avsAutoVoid === 'partial' ? ['no-match', 'partial'] : CONFIG.avsAutoVoid === 'no-match' ? ['no-match'] : [];
+  if (avsFails.includes(v.avsMatch)) reasons.push(`AVS ${v.avsCode}${v.avsText ? ` (${v.avsText})` : ''}`);
+  if (CONFIG.cvvAutoVoid && v.cvvMatch === 'no-match') reasons.push(`CVV ${v.cvvCode}${v.cvvText ? ` (${v.cvvText})` : ''}`);
+  return reasons;
+}
 
-    // Merge precedence: nested > top-level (so renderer wins)
-    const params = { ...(body.params || {}), ...(nested.params || {}) };
-    const transaction =   req.body.sale.transaction
-    
-    // --- 2) Validate & normalize amounts for real transaction ---
-    if (transaction.baseAmount == null) {
-      return res.status(400).json({ success: false, message: 'baseAmount is required' });
-    }
-    transaction.baseAmount = as2dp(transaction.baseAmount);
-    if (transaction.tipAmount != null)  transaction.tipAmount  = as2dp(transaction.tipAmount);
-    if (transaction.taxAmount != null)  transaction.taxAmount  = as2dp(transaction.taxAmount);
-    if (transaction.cashBackAmount != null) transaction.cashBackAmount = as2dp(transaction.cashBackAmount);
-
-    // Defaults commonly required for live SALE on Verifone JSON ECR
-    if (transaction.taxIndicator == null)   transaction.taxIndicator = '0'; // 0 = non-taxable line, per many setups
-    if (transaction.allowDuplicate == null) transaction.allowDuplicate = 0; // safer default (enable = 1 if you retry same amount quickly)
-
-    // UI sends allowPartialAuth as "0" | "1" – keep it numeric if present
-    if (transaction.allowPartialAuth != null) {
-      transaction.allowPartialAuth = Number(transaction.allowPartialAuth) ? 1 : 0;
-    }
+// Voids an approved sale that failed the AVS / CVV policy, before the caller hears about it and in the
+// same terminal lane. A void that doesn't go through leaves the sale approved, flagged for the cashier.
+async function autoVoid({ ip, port, altPort, payload, timeouts }, body, reasons) {
+  const { requestId, command, EcrId } = payload.data;
+  const r = body.result;
+  const servedBy = body.servedBy || port; // the port that approved the sale holds it
+  const voidId = nextRequestId();
+  const clerkId = payload.data.data?.params?.clerkId;
+  const data = { params: clerkId != null ? { clerkId } : {}, transaction: r.referenceNumber ? { referenceNumber: r.referenceNumber } : { tranNo: r.tranNo } };
+  const out = await sendWithFailover({ ip, port: servedBy, altPort, payload: buildEnvelope('Void', EcrId, voidId, data), timeouts });
+  const v = normalizeResponse({ requestId: voidId, command: 'Void', out });
+  const record = {
+    state: v.ok ? 'voided' : v.result.outcome === OUTCOME.UNKNOWN ? 'unknown' : 'failed',
+    reasons, voidRequestId: voidId,
+    error: v.ok ? null : v.error || v.result.errorMessage,
+  };
+  journal.append({ requestId, command, ip, port: servedBy, ecrId: String(EcrId), kind: 'auto-void', data: record });
+  events.publish({ type: 'auto-void', requestId, command, ip, port: servedBy, data: record });
+  const log = [
+    ...(body.log || []),
+    { t: new Date().toISOString(), type: 'auto-void', msg: `Approved ${command} fails the AVS/CVV policy (${reasons.join('; ')}); Void ${voidId}` },
+    ...out.log,
+  ];
+  return applyAutoVoid({ ...body, log }, record);
+}
 
-    // Optional fields commonly used in live flows
-    // invoiceNbr, tipAmount, taxAmount already supported by UI
+// Sale / PreAuth still unknown after recovery get reversed (timeout reversal), see server/reversals.js.
+// A Reversal looks the original up the same way a StatusInquiry does, by requestId / invoiceNbr.
+const REVERSIBLE = new Set(['Sale', 'PreAuth']);
+const reversals = createReversalQueue(DATA_DIR, {
+  settings: () => ({ graceMs: CONFIG.reversalGraceMs, retryMs: CONFIG.reversalRetryMs, maxAttempts: CONFIG.reversalMaxAttempts }),
+  execute: (item, { inLane }) => {
+    const requestId = nextRequestId();
+    const transaction = { requestId: item.requestId, ...(item.invoiceNbr != null ? { invoiceNbr: item.invoiceNbr } : {}) };
+    const payload = buildEnvelope('Reversal', item.ecrId, requestId, { transaction });
+    const send = () => sendWithFailover({ ip: item.ip, port: item.port, altPort: item.altPort, payload, timeouts: item.timeouts || {} })
+      .then(out => redact(normalizeResponse({ requestId, command: 'Reversal', out })));
+    return inLane ? send() : terminalQueue.run(item.ip, item.port, requestId, send);
+  },
+  onUpdate: (item) => {
+    const { requestId, command, ip, port, ecrId, state, attempts, lastError } = item;
+    journal.append({ requestId, command, ip, port, ecrId, kind: 'reversal', data: item });
+    events.publish({ type: 'reversal', requestId, command, ip, port, data: { state, attempts, lastError, reversalRequestId: item.reversalRequestId } });
+    const entry = tracker.get(requestId);
+    if (entry && entry.result) entry.result = { ...entry.result, reversal: item };
+  },
+});
 
-    // Note: card data is captured on terminal; if UI sends cardType/expiryDate we pass through (terminal usually ignores)
-    // params: { clerkId, cardType, expiryDate, ... }
+// Send a command on behalf of an HTTP route. Commands to the same terminal are serialized; with
+// busyPolicy 'reject' a busy terminal answers 409 TERMINAL_BUSY instead of queueing.
+// With ?async=1 the caller gets 202 + requestId right away and polls GET /requests/:requestId.
+// Resolves with the normalized response body (see result.js), or null whenever the response has
+// already been sent, so the route skips replying.
+async function runCommand(req, res, { ip, port, altPort = CONFIG.altPort, payload, timeouts }) {
+  const { requestId, command } = payload.data;
+  const { indexesRequestId } = req.terminal;
+  const lane = terminalQueue.status(ip, port);
+  if (CONFIG.busyPolicy === 'reject' && (lane.busy || lane.queued)) {
+    res.status(409).json({ ok: false, error: 'TERMINAL_BUSY', requestId, inFlightRequestId: lane.activeRequestId });
+    return null;
+  }
+  // Audit trail for manager approvals (see clerkPolicy), next to the transaction they approved
+  if (req.clerkOverride) journal.append({ requestId, command, ip, port, ecrId: payload.data.EcrId, kind: 'override', data: req.clerkOverride });
+  const { entry, promise } = tracker.track(requestId, command, () =>
+    terminalQueue.run(ip, port, requestId, async () => {
+      const sentAt = new Date().toISOString();
+      let body = normalizeResponse({ requestId, command, out: await sendWithFailover({ ip, port, altPort, payload, timeouts }) });
+      if (body.result.outcome === OUTCOME.UNKNOWN) body = await recoverInDoubt({ ip, port, altPort, payload, timeouts }, body, { indexesRequestId });
+      if (command === 'Sale' && body.ok) {
+        const reasons = verificationFailures(body.result);
+        if (reasons.length) body = await autoVoid({ ip, port, altPort, payload, timeouts }, body, reasons);
+      }
+      if (body.result.outcome === OUTCOME.UNKNOWN && CONFIG.autoReversal && REVERSIBLE.has(command)) {
+        const invoiceNbr = payload.data.data?.transaction?.invoiceNbr;
+        body.reversal = await reversals.open({ requestId, command, ip, port, altPort, ecrId: payload.data.EcrId, invoiceNbr, indexesRequestId, timeouts, sentAt }, { inLane: true });
+      }
+      return body;
+    }).then((body) => {
+      // The terminal answered, so it is reachable again: reversals waiting on it needn't wait for their retry
+      if (body.rsp) reversals.retry(ip, port).catch(err => console.error(`Reversal retry for ${ip}:${port} failed:`, err.message));
+      return redact(body);
+    }));
+  const isAsync = ['1', 'true'].includes(String(req.query.async));
+  if (req.idempotency) {
+    const { key, fingerprint } = req.idempotency;
+    idempotency.start(key, req.path, fingerprint, requestId);
+    promise.then((body) => {
+      // Never reached the terminal: let the caller retry under the same key (sent null = agent failure, unknown)
+      if (body.sent === false) return idempotency.release(key);
+      if (isAsync) idempotency.finish(key, httpStatus(body), body);
+    });
+  }
+  if (isAsync) {
+    res.status(202).json({ ok: true, requestId, state: entry.state, statusUrl: `/requests/${requestId}` });
+    return null;
+  }
+  return promise;
+}
+
+const rank = (level) => DEBUG_LEVELS.indexOf(level);
+
+// Debug detail for one caller: CONFIG.debugLevel, which ?debug= may lower (only admin keys may raise it);
+// production builds never show more than "basic" to a non-admin key
+function debugLevelFor(req) {
+  const isAdmin = auth.hasScope(req.apiKey, 'admin');
+  let level = CONFIG.debugLevel;
+  const asked = req.query && req.query.debug;
+  if (DEBUG_LEVELS.includes(asked) && (isAdmin || rank(asked) < rank(level))) level = asked;
+  if (PRODUCTION && !isAdmin && rank(level) > rank('basic')) level = 'basic';
+  return level;
+}
 
-    // --- 3) Build envelope exactly as terminal expects ---
-    const requestId = reqId(6); // keep your existing generator
-    const dataObj = { params, transaction };
-    const payload = buildEnvelope('Sale', conn.ecrId, requestId, dataObj);
+const reply = (res, body) => res.status(httpStatus(body)).json(applyDebugLevel(body, debugLevelFor(res.req)));
 
+// Body shape shared by every transaction route:
+//   {
+//     terminalId,                 // registered terminal, or ip / port / altPort / ecrId (see withTerminal)
+//     params: { clerkId, ... },
+//     transaction: { ... },       // fields per command, see GET /schemas
+//     lodging: { ... }            // Sale / PreAuth / AuthCompletion only
+//   }
+// Older clients nest the blocks under the route name ({ sale: { params, transaction } }, void, preauth,
+// refund, tipAdjust, authCompletion). That is still accepted; nested fields win over top-level ones.
+function commandBlocks(body, legacyKey) {
+  const top = body || {};
+  const nested = (top[legacyKey] && typeof top[legacyKey] === 'object') ? top[legacyKey] : {};
+  const block = (k) => (top[k] || nested[k]) ? { ...(top[k] || {}), ...(nested[k] || {}) } : undefined;
+  return { params: block('params') || {}, transaction: block('transaction'), lodging: block('lodging') };
+}
 
-    
+// Checks { params, transaction, lodging } against the command's schema before anything goes on the wire,
+// then rewrites their amounts in the terminal's string form. Sends the 400 and returns true when invalid.
+function rejectInvalid(res, command, blocks) {
+  const details = [
+    ...validateCommand(command, blocks, { minorUnits: money.currency().minorUnits }),
+    ...money.checkTotals(command, blocks.transaction),
+  ];
+  if (details.length) {
+    res.status(400).json({ ok: false, error: 'VALIDATION_FAILED', command, details });
+    return true;
+  }
+  for (const [block, fields] of Object.entries(amountFields(command))) money.normalize(blocks[block], fields);
+  return false;
+}
 
+// Background health monitor: registered terminals, or the CONFIG default when none are registered
+const monitor = createHealthMonitor({
+  targets: () => {
+    const list = terminals.list().map(t => ({ id: t.id, label: t.label, ip: t.ip, port: t.primaryPort, ecrId: t.ecrId, connectMs: t.timeouts.connectMs }));
+    return list.length ? list : [{ id: 'default', label: 'Default terminal', ip: CONFIG.terminalIp, port: CONFIG.primaryPort, ecrId: CONFIG.ecrId }];
+  },
+  probe: (t) => checkAvailability(t.ip, t.port, t.connectMs ?? CONFIG.connectTimeoutMs),
+  // Only on an idle lane; a command arriving meanwhile waits for the Ping (at most 5 s) rather than being rejected
+  ping: (t) => terminalQueue.runIdle(t.ip, t.port, () => sendCommandTcp({
+    ip: t.ip, port: t.port, quiet: true,
+    payload: buildEnvelope('Ping', String(t.ecrId), requestIds.probe(), null),
+    timeouts: { connect: t.connectMs ?? CONFIG.connectTimeoutMs, read: 5000, idle: 5000 },
+  })),
+  isBusy: (t) => { const l = terminalQueue.status(t.ip, t.port); return l.busy || l.queued > 0; },
+  settings: () => ({ intervalMs: CONFIG.monitorIntervalMs, ping: CONFIG.monitorPing, slowMs: CONFIG.monitorSlowMs, historySize: CONFIG.monitorHistory }),
+  onTransition: (t, from, to) => {
+    if (to !== 'down') reversals.retry(t.ip, t.port).catch(err => console.error(`Reversal retry for ${t.ip}:${t.port} failed:`, err.message));
+  },
+});
 
-const timeouts =  {
-  connect: CONFIG.connectTimeoutMs,
-  read:  CONFIG.readTimeoutMs,
-  idle: CONFIG.idleByteTimeoutMs
+// requestIds come from one sequence for all terminals (see server/request-ids.js), so journal, tracker
+// and reversal lookups by requestId can't mix up two lanes' transactions
+const nextRequestId = () => requestIds.next();
+
+// Idempotency-Key header (or idempotencyKey body field) on financial routes: a repeat with the same
+// key gets the stored result, or the in-flight status, instead of a second command to the terminal.
+function idempotent(req, res, next) {
+  const key = req.get('Idempotency-Key') || (req.body && req.body.idempotencyKey);
+  if (!key) return next();
+  const fingerprint = idempotency.fingerprint(req.path, req.body);
+  const prior = idempotency.lookup(String(key));
+  if (prior) {
+    res.set('Idempotent-Replayed', 'true');
+    if (prior.fingerprint !== fingerprint) {
+      return res.status(422).json({ ok: false, error: 'IDEMPOTENCY_KEY_REUSED', message: 'Idempotency-Key was already used for a different request', requestId: prior.requestId });
+    }
+    if (prior.state === 'done') return res.status(prior.status).json(prior.body);
+    if (prior.state === 'in-flight') {
+      const entry = tracker.get(prior.requestId);
+      return res.status(202).json({ ok: true, requestId: prior.requestId, state: entry ? entry.state : 'queued', statusUrl: `/requests/${prior.requestId}` });
+    }
+    return res.status(409).json({ ok: false, error: 'IN_DOUBT', message: 'Agent restarted while this request was in flight; check the journal before retrying', requestId: prior.requestId });
+  }
+  req.idempotency = { key: String(key), fingerprint };
+  // Store whatever the route finally answers (202 async acknowledgements are not final)
+  const json = res.json.bind(res);
+  res.json = (body) => {
+    if (res.statusCode !== 202) idempotency.finish(req.idempotency.key, res.statusCode, body);
+    return json(body);
+  };
+  next();
 }
 
+// Resolve the target terminal for a route into req.terminal: a registered terminal when the
+// caller passes terminalId, otherwise ip/port/ecrId from the request, falling back to CONFIG.
+function withTerminal(req, res, next) {
+  const src = { ...req.query, ...(req.body || {}) };
+  if (src.terminalId != null && src.terminalId !== '') {
+    const t = terminals.get(src.terminalId);
+    if (!t) return res.status(404).json({ ok: false, error: `Unknown terminalId ${src.terminalId}` });
+    req.terminal = {
+      terminalId: t.id, ip: t.ip, port: t.primaryPort, altPort: t.altPort, ecrId: t.ecrId,
+      indexesRequestId: t.indexesRequestId ?? CONFIG.indexesRequestId,
+      timeouts: {
+        connect: t.timeouts.connectMs ?? CONFIG.connectTimeoutMs,
+        read: t.timeouts.readMs ?? CONFIG.readTimeoutMs,
+        idle: t.timeouts.idleMs ?? CONFIG.idleByteTimeoutMs,
+      },
+    };
+    return next();
+  }
+  req.terminal = {
+    terminalId: null,
+    ip: src.ip || CONFIG.terminalIp,
+    port: Number(src.port || CONFIG.primaryPort),
+    altPort: src.altPort ? Number(src.altPort) : CONFIG.altPort,
+    ecrId: String(src.ecrId ?? CONFIG.ecrId),
+    indexesRequestId: CONFIG.indexesRequestId,
+    timeouts: { connect: CONFIG.connectTimeoutMs, read: CONFIG.readTimeoutMs, idle: CONFIG.idleByteTimeoutMs },
+  };
+  next();
+}
 
-console.log(payload)
+// The agent window is loaded from file://, so its fetches come from Origin "null" and, carrying
+// X-Api-Key, are preflighted. Other origins get no CORS headers and the browser keeps them out.
+const CORS_ORIGINS = new Set(['null']);
+const CORS_HEADERS = 'Content-Type, X-Api-Key, Authorization, X-Key-Id, X-Timestamp, X-Signature, Idempotency-Key';
+function cors(req, res, next) {
+  const origin = req.get('origin');
+  if (origin == null || !CORS_ORIGINS.has(origin)) return next();
+  res.set({ 'Access-Control-Allow-Origin': origin, Vary: 'Origin' });
+  if (req.method !== 'OPTIONS') return next();
+  res.set({ 'Access-Control-Allow-Methods': 'GET, POST, PUT, DELETE', 'Access-Control-Allow-Headers': CORS_HEADERS, 'Access-Control-Max-Age': '600' });
+  res.sendStatus(204);
+}
 
-    // --- 4) Send over TCP to terminal ---
-    const out = await sendCommandTcp({
-      ip: conn.ip,
-      port: conn.port,
-      payload,
-      timeouts,
-    });
+// Every other route needs an API key or a signed request (see server/auth.js)
+function authenticate(req, res, next) {
+  const r = auth.verify(req);
+  if (r.error) return res.status(401).json({ ok: false, error: 'UNAUTHORIZED', message: r.error });
+  req.apiKey = r.key;
+  next();
+}
+
+// Per-route scope check: allow('refund') etc.
+const allow = (scope) => (req, res, next) => {
+  if (auth.hasScope(req.apiKey, scope)) return next();
+  res.status(403).json({ ok: false, error: 'FORBIDDEN', message: `API key lacks the ${scope} scope` });
+};
 
-    // --- 5) Return result + requestId + debug log ---
-    return res.json({ success: true, requestId, ...out });
-  } catch (err) {
-    return res.status(500).json({ success: false, message: err.message || 'Sale failed' });
+// Clerk roles (server/clerks.js), enforced once at least one clerk profile exists. Restricted actions
+// (CONFIG.managerOnly, refunds over CONFIG.refundCeiling) need a registered params.clerkId plus a
+// manager's PIN for this one request: { override: { clerkId, pin } } (a manager approves their own with it too).
+const clerkPolicy = (action, legacyKey) => (req, res, next) => {
+  if (clerks.isEmpty()) return next();
+  const body = req.body || {};
+  const { params, transaction } = commandBlocks(body, legacyKey);
+  const reasons = [];
+  if (CONFIG.managerOnly.includes(action)) reasons.push(`${action} is restricted to managers`);
+  if (action === 'refund' && CONFIG.refundCeiling != null && transaction) {
+    const amount = money.parse(transaction.totalAmount);
+    const ceiling = money.parse(String(CONFIG.refundCeiling));
+    if (!amount.error && !ceiling.error && amount.minor > ceiling.minor) reasons.push(`refunds above ${money.format(ceiling.minor)} need a manager`);
   }
-});
+  if (!reasons.length) return next();
 
+  const clerkId = params.clerkId ?? body.clerkId;
+  if (clerkId == null || !clerks.get(clerkId)) {
+    return res.status(403).json({ ok: false, error: 'UNKNOWN_CLERK', action, message: 'params.clerkId must name a registered clerk' });
+  }
+  const override = body.override;
+  if (!override || override.clerkId == null || override.pin == null) {
+    return res.status(403).json({ ok: false, error: 'MANAGER_REQUIRED', action, clerkId: String(clerkId), reasons, message: reasons.join('; ') });
+  }
+  const r = clerks.verifyPin(override.clerkId, override.pin);
+  if (r.error || r.clerk.role !== 'manager') {
+    return res.status(403).json({ ok: false, error: 'OVERRIDE_REJECTED', action, message: r.error || `Clerk ${override.clerkId} is not a manager` });
+  }
+  req.clerkOverride = { action, clerkId: String(clerkId), managerId: r.clerk.clerkId, reasons };
+  next();
+};
 
+// Raw /command gets the same clerk rules as the dedicated route for its command (aliases included)
+const RAW_COMMAND_ACTIONS = { Refund: 'refund', Void: 'void', EOD: 'batch-close' };
+function rawCommandPolicy(req, res, next) {
+  const command = req.body && req.body.command;
+  const action = Object.entries(RAW_COMMAND_ACTIONS).find(([name]) => expectedResponses(name).includes(command));
+  if (!action) return next();
+  clerkPolicy(action[1], 'data')(req, res, next);
+}
 
+app.use(cors);
+app.use(authenticate);
 
-// Sale (lodging add-on fields)
-app.post('/sale/lodging', async (req, res) => {
-  const {
-    ip = CONFIG.terminalIp,
-    port = CONFIG.primaryPort,
-    ecrId = CONFIG.ecrId,
-    params = {},            // { clerkId, ... }
-    transaction = {
-  "baseAmount": 4.00,
-  "tipAmount": 0.00,
-  "taxAmount": 1.00,
-  "taxIndicator": 0,
-  "cashBackAmount": 0.00,
-  "allowDuplicate": 1
-},      // { baseAmount, tipAmount, taxAmount, taxIndicator, ... }
-    lodging = {},           // { folioNumber, stayDuration, checkInDate, checkOutDate, dailyRate, preferredCustomer, extraChargeTypes, extraChargeTotal, advanceDepositType, noShow, cardBrandTransID }
-  } = req.body || {};
+/* ======================== HTTP API ======================== */
 
-  // Amount normalization
-  ['baseAmount', 'tipAmount', 'taxAmount', 'cashBackAmount'].forEach(k => {
-    if (transaction[k] != null) transaction[k] = as2dp(transaction[k]);
+// Health & availability
+app.get('/health', allow('read'), withTerminal, async (req, res) => {
+  const { ip, port } = req.terminal;
+  const a = await checkAvailability(ip, port, CONFIG.connectTimeoutMs);
+  res.json({
+    ok: a.ok, info: a.info,
+    terminal: terminalQueue.status(ip, port),
+    lanes: terminalQueue.snapshot(),
+    ports: Object.fromEntries(portStats),
+    config: CONFIG,
   });
-  if (lodging.dailyRate != null) lodging.dailyRate = as2dp(lodging.dailyRate);
-  if (lodging.extraChargeTotal != null) lodging.extraChargeTotal = as2dp(lodging.extraChargeTotal);
+});
+app.get('/availability', allow('read'), withTerminal, async (req, res) => {
+  const { ip, port, timeouts } = req.terminal;
+  const a = await checkAvailability(ip, port, timeouts.connect);
+  res.json(a);
+});
 
-  const requestId = reqId(6);
+// Ping
+app.get('/ping', allow('read'), withTerminal, async (req, res) => {
+  const { ip, port, altPort, ecrId, timeouts } = req.terminal;
+  const requestId = nextRequestId();
+
+  const payload = buildEnvelope('Ping', ecrId, requestId, null);
+  const out = await runCommand(req, res, { ip, port, altPort, payload, timeouts });
+  if (out) reply(res, out);
+});
+
+// Sale
+app.post('/sale', allow('sale'), withTerminal, idempotent, async (req, res) => {
+  const { ip, port, altPort, ecrId, timeouts } = req.terminal;
+  // params: { clerkId, cardType, expiryDate, ... } (card data itself is captured on the terminal)
+  // transaction: { baseAmount, tipAmount, taxAmount, invoiceNbr, allowPartialAuth, ... }
+  const { params, transaction, lodging } = commandBlocks(req.body, 'sale');
+  if (rejectInvalid(res, 'Sale', { params, transaction, lodging })) return;
+  delete transaction.totalAmount; // agent-side cross-check only; the terminal sums the parts itself
+
+  // Defaults commonly required for live SALE on Verifone JSON ECR
+  if (transaction.taxIndicator == null)   transaction.taxIndicator = '0'; // 0 = non-taxable line, per many setups
+  if (transaction.allowDuplicate == null) transaction.allowDuplicate = 0; // safer default (enable = 1 if you retry same amount quickly)
+  // UI sends allowPartialAuth as "0" | "1" – keep it numeric if present
+  if (transaction.allowPartialAuth != null) transaction.allowPartialAuth = Number(transaction.allowPartialAuth) ? 1 : 0;
+
+  const requestId = nextRequestId();
+  const dataObj = { params, transaction, ...(lodging ? { lodging } : {}) };
+  const payload = buildEnvelope('Sale', String(ecrId), requestId, dataObj);
+
+  const out = await runCommand(req, res, { ip, port, altPort, payload, timeouts });
+  if (out) reply(res, out);
+});
+
+// Sale (lodging add-on fields)
+app.post('/sale/lodging', allow('sale'), withTerminal, idempotent, async (req, res) => {
+  const { ip, port, altPort, ecrId, timeouts } = req.terminal;
+  // transaction: { baseAmount, tipAmount, taxAmount, taxIndicator, ... }
+  // lodging: { folioNumber, stayDuration, checkInDate, checkOutDate, dailyRate, preferredCustomer, extraChargeTypes, extraChargeTotal, advanceDepositType, noShow, cardBrandTransID }
+  const { params, transaction, lodging = {} } = commandBlocks(req.body, 'sale');
+  if (rejectInvalid(res, 'Sale', { params, transaction, lodging })) return;
+  delete transaction.totalAmount; // agent-side cross-check only, as for /sale
+
+  const requestId = nextRequestId();
   const dataObj = { params, transaction, lodging };
   const payload = buildEnvelope('Sale', String(ecrId), requestId, dataObj);
 
-  const out = await sendCommandTcp({
-    ip, port, payload,
-    timeouts: { connect: CONFIG.connectTimeoutMs, read: CONFIG.readTimeoutMs }
-  });
-  res.json({ requestId, ...out });
+  const out = await runCommand(req, res, { ip, port, altPort, payload, timeouts });
+  if (out) reply(res, out);
 });
 
-// PreAuth (lodging check-in / incremental auth supported)
-app.post('/preauth', async (req, res) => {
-  const {
-    ip = CONFIG.terminalIp,
-    port = CONFIG.primaryPort,
-    ecrId = CONFIG.ecrId,
-    params = {},            // e.g. { clerkId, cardType, expiryDate }
-    transaction = {},       // { amount, preAuthAmount, referenceNumber, allowDuplicate, ... }
-    lodging = {},           // same lodging object as /sale/lodging
-  } = req.body || {};
+// Manual (keyed, card-not-present) sale. By default the clerk keys the card on the terminal, so card
+// numbers never pass through the agent; params.avsAddress / avsZip go along for address verification.
+// Card data typed at the POS ({ card: { pan, expiryDate, cvv } }) is only accepted with allowPosKeyedCard.
+// AVS / CVV results come back in result.verification; see avsAutoVoid / cvvAutoVoid for auto-voiding.
+app.post('/sale/manual', allow('sale'), withTerminal, idempotent, async (req, res) => {
+  const { ip, port, altPort, ecrId, timeouts } = req.terminal;
+  const { params, transaction } = commandBlocks(req.body, 'sale');
+  const card = (req.body && (req.body.card || (req.body.sale && req.body.sale.card))) || undefined;
+  if ((card || ['cardPAN', 'pan', 'cvv'].some(k => params[k] != null)) && !CONFIG.allowPosKeyedCard) {
+    return res.status(400).json({ ok: false, error: 'CARD_DATA_NOT_ACCEPTED', message: 'Key the card on the terminal, or enable allowPosKeyedCard' });
+  }
+  if (rejectInvalid(res, 'ManualSale', { params, transaction, card })) return;
+  delete transaction.totalAmount; // agent-side cross-check only, as for /sale
 
-  if (transaction.amount != null) transaction.amount = as2dp(transaction.amount);
-  if (transaction.preAuthAmount != null) transaction.preAuthAmount = as2dp(transaction.preAuthAmount);
-  if (lodging.dailyRate != null) lodging.dailyRate = as2dp(lodging.dailyRate);
-  if (lodging.extraChargeTotal != null) lodging.extraChargeTotal = as2dp(lodging.extraChargeTotal);
+  const requestId = nextRequestId();
+  const keyed = card ? { cardPAN: card.pan, expiryDate: card.expiryDate, ...(card.cvv ? { cvv: card.cvv } : {}) } : {};
+  const dataObj = { params: { ...params, ...keyed, cardAcquisition: 'MANUAL' }, transaction };
+  const payload = buildEnvelope('Sale', String(ecrId), requestId, dataObj);
+
+  const out = await runCommand(req, res, { ip, port, altPort, payload, timeouts });
+  if (out) reply(res, out);
+});
 
-  const requestId = reqId(6);
+// PreAuth (lodging check-in / incremental auth supported)
+app.post('/preauth', allow('sale'), withTerminal, idempotent, async (req, res) => {
+  const { ip, port, altPort, ecrId, timeouts } = req.terminal;
+  // params: { clerkId, cardType, expiryDate }; transaction: { amount, preAuthAmount, referenceNumber, allowDuplicate, ... }
+  // lodging: same lodging object as /sale/lodging
+  const { params, transaction, lodging = {} } = commandBlocks(req.body, 'preauth');
+  if (rejectInvalid(res, 'PreAuth', { params, transaction, lodging })) return;
+
+  const requestId = nextRequestId();
   const dataObj = { params, transaction, ...(Object.keys(lodging).length ? { lodging } : {}) };
   const payload = buildEnvelope('PreAuth', String(ecrId), requestId, dataObj);
 
-  const out = await sendCommandTcp({
-    ip, port, payload,
-    timeouts: { connect: CONFIG.connectTimeoutMs, read: CONFIG.readTimeoutMs }
-  });
-  res.json({ requestId, ...out });
+  const out = await runCommand(req, res, { ip, port, altPort, payload, timeouts });
+  if (out) reply(res, out);
 });
 
 // Auth Completion / Close Tab (check-out)
-app.post('/auth-completion', async (req, res) => {
-  const {
-    ip = CONFIG.terminalIp,
-    port = CONFIG.primaryPort,
-    ecrId = CONFIG.ecrId,
-    params = {},
-    transaction = {},     // typically includes { referenceNumber, amount, tipAmount, ... } per your UPA guide section
-  } = req.body || {};
-
-  if (transaction.amount != null) transaction.amount = as2dp(transaction.amount);
-  if (transaction.tipAmount != null) transaction.tipAmount = as2dp(transaction.tipAmount);
-
-  const requestId = reqId(6);
-  const dataObj = { params, transaction };
+app.post('/auth-completion', allow('sale'), withTerminal, idempotent, async (req, res) => {
+  const { ip, port, altPort, ecrId, timeouts } = req.terminal;
+  // transaction typically includes { referenceNumber, amount, tipAmount, ... } per your UPA guide section
+  const { params, transaction, lodging } = commandBlocks(req.body, 'authCompletion');
+  if (rejectInvalid(res, 'AuthCompletion', { params, transaction, lodging })) return;
+
+  const requestId = nextRequestId();
+  const dataObj = { params, transaction, ...(lodging ? { lodging } : {}) };
   const payload = buildEnvelope('AuthCompletion', String(ecrId), requestId, dataObj);
 
-  const out = await sendCommandTcp({
-    ip, port, payload,
-    timeouts: { connect: CONFIG.connectTimeoutMs, read: CONFIG.readTimeoutMs }
-  });
-  res.json({ requestId, ...out });
+  const out = await runCommand(req, res, { ip, port, altPort, payload, timeouts });
+  if (out) reply(res, out);
 });
 
 // Void (cannot void PreAuth per guide; requires tranNo or referenceNumber)
-app.post('/void', async (req, res) => {
-
-   const  ip = CONFIG.terminalIp;
-   const  port = CONFIG.primaryPort;
-   const  ecrId = CONFIG.ecrId;
-   const  params = { };    // { clerkId }
-   const  transaction = {
-      tranNo : req.body.void.transaction.tranNo
-    }    // { tranNo } OR { referenceNumber }
-  
+app.post('/void', allow('refund'), withTerminal, clerkPolicy('void', 'void'), async (req, res) => {
+  const { ip, port, altPort, ecrId, timeouts } = req.terminal;
+  // params: { clerkId }; transaction: { tranNo } OR { referenceNumber }
+  const { params, transaction } = commandBlocks(req.body, 'void');
+  if (rejectInvalid(res, 'Void', { params, transaction })) return;
 
-//   {
-// "message": "MSG",
-// "data": {
-// "command": "Void",
-// "EcrId": "123",
-// "requestId":"12",
-// "data": {
-// "params": {
-// "clerkId":"1234"
-// },
-// "transaction": {
-// "tranNo":"1234"
-// }
-// }
-// }
-// }
-
-  const requestId = reqId(6);
+  const requestId = nextRequestId();
   const dataObj = { params, transaction };
   const payload = buildEnvelope('Void', String(ecrId), requestId, dataObj);
-console.log("************",payload)
-  const out = await sendCommandTcp({
-    ip, port, payload,
-    timeouts: { connect: CONFIG.connectTimeoutMs, read: CONFIG.readTimeoutMs }
-  });
-  res.json({ requestId, ...out });
+
+  const out = await runCommand(req, res, { ip, port, altPort, payload, timeouts });
+  if (out) reply(res, out);
 });
 
 // Refund
-app.post('/refund', async (req, res) => {
-  const {
-    ip = CONFIG.terminalIp,
-    port = CONFIG.primaryPort,
-    ecrId = CONFIG.ecrId,
-    params = {},            // { clerkId, tokenRequest, tokenValue, cardType, expiryDate, ... }
-    transaction = {},       // { totalAmount, invoiceNbr, allowDuplicate, ... }
-  } = req.body || {};
-
-  if (transaction.totalAmount != null) transaction.totalAmount = as2dp(transaction.totalAmount);
+app.post('/refund', allow('refund'), withTerminal, clerkPolicy('refund', 'refund'), idempotent, async (req, res) => {
+  const { ip, port, altPort, ecrId, timeouts } = req.terminal;
+  // params: { clerkId, tokenRequest, tokenValue, cardType, expiryDate, ... }; transaction: { totalAmount, invoiceNbr, allowDuplicate, ... }
+  const { params, transaction } = commandBlocks(req.body, 'refund');
+  if (rejectInvalid(res, 'Refund', { params, transaction })) return;
 
-  const requestId = reqId(6);
+  const requestId = nextRequestId();
   const dataObj = { params, transaction };
   const payload = buildEnvelope('Refund', String(ecrId), requestId, dataObj);
 
-  const out = await sendCommandTcp({
-    ip, port, payload,
-    timeouts: { connect: CONFIG.connectTimeoutMs, read: CONFIG.readTimeoutMs }
-  });
-  res.json({ requestId, ...out });
+  const out = await runCommand(req, res, { ip, port, altPort, payload, timeouts });
+  if (out) reply(res, out);
 });
 
 // Tip Adjust
-app.post('/tip-adjust', async (req, res) => {
-  const {
-    ip = CONFIG.terminalIp,
-    port = CONFIG.primaryPort,
-    ecrId = CONFIG.ecrId,
-    params = {},            // { clerkId }
-    transaction = {},       // { tranNo or referenceNumber, tipAmount }
-  } = req.body || {};
+app.post('/tip-adjust', allow('sale'), withTerminal, idempotent, async (req, res) => {
+  const { ip, port, altPort, ecrId, timeouts } = req.terminal;
+  // params: { clerkId }; transaction: { tranNo or referenceNumber, tipAmount }
+  const { params, transaction } = commandBlocks(req.body, 'tipAdjust');
+  if (rejectInvalid(res, 'TipAdjust', { params, transaction })) return;
 
-  if (transaction.tipAmount != null) transaction.tipAmount = as2dp(transaction.tipAmount);
-
-  const requestId = reqId(6);
+  const requestId = nextRequestId();
   const dataObj = { params, transaction };
   const payload = buildEnvelope('TipAdjust', String(ecrId), requestId, dataObj);
 
-  const out = await sendCommandTcp({
-    ip, port, payload,
-    timeouts: { connect: CONFIG.connectTimeoutMs, read: CONFIG.readTimeoutMs }
-  });
-  res.json({ requestId, ...out });
+  const out = await runCommand(req, res, { ip, port, altPort, payload, timeouts });
+  if (out) reply(res, out);
+});
+
+// Status Inquiry: what the terminal recorded for a transaction. A lost response can be looked up by the
+// requestId (or invoiceNbr) of the command that created it; financial commands do this on their own.
+app.post('/status-inquiry', allow('read'), withTerminal, async (req, res) => {
+  const { ip, port, altPort, ecrId, timeouts } = req.terminal;
+  // transaction: { tranNo | referenceNumber | responseId | requestId | invoiceNbr }
+  const { params, transaction } = commandBlocks(req.body, 'statusInquiry');
+  if (rejectInvalid(res, 'StatusInquiry', { params, transaction })) return;
+
+  const requestId = nextRequestId();
+  const payload = buildEnvelope('StatusInquiry', String(ecrId), requestId, { transaction });
+
+  const out = await runCommand(req, res, { ip, port, altPort, payload, timeouts });
+  if (out) reply(res, out);
 });
 
 // Batch Close / EOD (command name may vary in your guide; allow override)
-app.post('/batch-close', async (req, res) => {
+app.post('/batch-close', allow('refund'), withTerminal, clerkPolicy('batch-close'), async (req, res) => {
+  const { ip, port, altPort, ecrId, timeouts } = req.terminal;
+  // params: { clerkId, ... } as on the transaction routes
+  const { params } = commandBlocks(req.body);
+  if (rejectInvalid(res, 'EODProcessing', { params })) return;
   const {
-    ip = CONFIG.terminalIp,
-    port = CONFIG.primaryPort,
-    ecrId = CONFIG.ecrId,
     command = 'EODProcessing', // override if your guide uses a different verb
-    data = {
-      command,
-      ecrId,
-      requestId
-    }               // pass-through structure if required by your build
+    data,                      // pass-through structure if required by your build
   } = req.body || {};
+  if (data != null && (typeof data !== 'object' || Array.isArray(data))) {
+    return res.status(400).json({ ok: false, error: 'VALIDATION_FAILED', command, details: [{ field: 'data', message: 'must be an object' }] });
+  }
+  const requestId = nextRequestId();
+  const section = data === undefined ? { command, ecrId, requestId } : data;
 
+  const dataObj = Object.keys(params).length ? { ...section, params: { ...section?.params, ...params } } : section;
+  const payload = buildEnvelope(command, String(ecrId), requestId, dataObj);
 
-
-  const requestId = reqId(6);
-  const payload = buildEnvelope(command, String(ecrId), requestId, data);
-
-  const out = await sendCommandTcp({
-    ip, port, payload,
-    timeouts: { connect: CONFIG.connectTimeoutMs, read: CONFIG.readTimeoutMs }
-  });
-  res.json({ requestId, ...out });
+  const out = await runCommand(req, res, { ip, port, altPort, payload, timeouts });
+  if (out) reply(res, out);
 });
 
 // Generic command helper (for any UPA command)
-app.post('/command', async (req, res) => {
+app.post('/command', allow('admin'), withTerminal, rawCommandPolicy, async (req, res) => {
+  const { ip, port, altPort, ecrId, timeouts } = req.terminal;
   const {
-    ip = CONFIG.terminalIp,
-    port = CONFIG.primaryPort,
-    ecrId = CONFIG.ecrId,
     command,            // REQUIRED
     data = {},          // { params?, transaction?, lodging?, ... } per section
-    requestId = reqId(6),
   } = req.body || {};
   if (!command) return res.status(400).json({ ok: false, error: 'Missing command' });
+  if (data != null && (typeof data !== 'object' || Array.isArray(data))) {
+    return res.status(400).json({ ok: false, error: 'VALIDATION_FAILED', command, details: [{ field: 'data', message: 'must be an object' }] });
+  }
+  const blocks = data || {}; // data: null sends the command without a data section
+  if (rejectInvalid(res, command, { params: blocks.params, transaction: blocks.transaction, lodging: blocks.lodging })) return;
+
+  // Caller may pin its own requestId, but it must fit the terminal's limits and not be a repeat
+  let requestId;
+  if (req.body.requestId != null && req.body.requestId !== '') {
+    const claimed = requestIds.claim(req.body.requestId);
+    if (claimed.error) return res.status(409).json({ ok: false, error: 'REQUEST_ID_REJECTED', message: claimed.error });
+    requestId = claimed.id;
+  } else {
+    requestId = nextRequestId();
+  }
 
   const payload = buildEnvelope(command, String(ecrId), String(requestId), data);
-  const out = await sendCommandTcp({
-    ip, port, payload,
-    timeouts: { connect: CONFIG.connectTimeoutMs, read: CONFIG.readTimeoutMs }
+  const out = await runCommand(req, res, { ip, port, altPort, payload, timeouts });
+  if (out) reply(res, out);
+});
+
+// Request schemas per command (JSON Schema), the same ones the routes validate against
+app.get('/schemas', allow('read'), (req, res) => {
+  res.json({ ok: true, schemas: SCHEMAS });
+});
+
+// Normalized response body for a journal summary (see journal.list). Requests this run settled come
+// from the request tracker, which holds the full body; a summary still "pending" that the tracker doesn't
+// hold means the agent restarted while it was in flight.
+function summaryResult(summary) {
+  const live = tracker.get(summary.requestId);
+  if (live && live.result) return live.result;
+  const error = summary.status === 'pending' ? (live ? null : 'agent-restarted') : summary.error;
+  const body = normalizeResponse({
+    requestId: summary.requestId, command: summary.command,
+    out: { ok: summary.status === 'ok', rsp: summary.response, error: summary.status === 'ok' ? null : error, sent: true, log: [] },
+  });
+  const recovered = summary.recovery ? applyRecovery(body, summary.recovery) : body;
+  return {
+    ...(summary.autoVoid ? applyAutoVoid(recovered, summary.autoVoid) : recovered),
+    ...(summary.reversal ? { reversal: summary.reversal } : {}),
+  };
+}
+
+// Async request status (see runCommand); falls back to the journal for requests from before a restart
+app.get('/requests/:requestId', allow('read'), (req, res) => {
+  const entry = tracker.get(req.params.requestId);
+  if (entry) return res.json({ ok: true, ...entry, result: entry.result && applyDebugLevel(entry.result, debugLevelFor(req)) });
+  const summary = journal.find(req.params.requestId);
+  if (!summary) return res.status(404).json({ ok: false, error: 'Unknown requestId' });
+  const result = summaryResult(summary);
+  const state = summary.status === 'ok' ? 'completed' : summary.status === 'unknown' ? 'unknown' : /-timeout$/.test(result.error) ? 'timed-out' : 'failed';
+  res.json({ ok: true, requestId: summary.requestId, command: summary.command, state, createdAt: summary.startedAt, updatedAt: summary.updatedAt, result });
+});
+
+// One row of the window's history panel; outcome 'pending' while the request is still being handled
+// (on the terminal, or in recovery)
+function historyRow(summary) {
+  const { result: r, reversal } = summaryResult(summary);
+  const live = tracker.get(summary.requestId);
+  const pending = !!live && !live.result;
+  const sent = summary.transaction || {};
+  const first = (...vals) => vals.find(v => v != null && v !== '') ?? null;
+  return {
+    requestId: summary.requestId, command: summary.command, at: summary.startedAt,
+    terminal: { ip: summary.ip, port: summary.port, ecrId: summary.ecrId },
+    outcome: pending ? 'pending' : r.outcome,
+    amount: first(r.amounts.authorized, r.amounts.requested, sent.totalAmount, sent.amount, sent.baseAmount),
+    tipAmount: first(sent.tipAmount),
+    tranNo: r.tranNo, referenceNumber: r.referenceNumber, invoiceNbr: first(sent.invoiceNbr),
+    maskedPan: r.card.maskedPan, brand: r.card.brand,
+    message: pending ? `In progress (${live.state})` : first(r.errorMessage, r.responseText),
+    // What the row itself pointed at (Void / TipAdjust / Refund of an earlier transaction)
+    original: first(sent.referenceNumber, sent.tranNo),
+    reversal: reversal ? reversal.state : null,
+    voidedBy: null,
+    lodging: summary.lodging || null,
+    folioNumber: summary.lodging ? first(summary.lodging.folioNumber) : null,
+  };
+}
+
+// All financial history rows, newest first, with voidedBy set on sales etc. that a later successful
+// Void undid, so the window doesn't offer to void them again
+function historyRows() {
+  const summaries = journal.list({ limit: Infinity }).filter(s => FINANCIAL_COMMANDS.has(s.command));
+  const rows = summaries.map(historyRow);
+  const same = (a, b) => a != null && b != null && String(a) === String(b);
+  rows.forEach((v, i) => {
+    if (v.command !== 'Void' || !['approved', 'partial'].includes(v.outcome) || !v.original) return;
+    const sent = summaries[i].transaction || {};
+    // Only transactions journaled before the void (the rows after it). tranNo restarts after a batch
+    // close, so the referenceNumber decides whenever the void was sent with one.
+    const target = rows.slice(i + 1).find(t => t.command !== 'Void' && t.terminal.ip === v.terminal.ip &&
+      (sent.referenceNumber != null && sent.referenceNumber !== '' ? same(t.referenceNumber, sent.referenceNumber) : same(t.tranNo, sent.tranNo)));
+    if (target && !target.voidedBy) target.voidedBy = v.requestId;
   });
-  res.json({ requestId, ...out });
+  return rows;
+}
+
+// Lodging folio: check-in PreAuth, incremental auths (PreAuth pointing at the check-in) and the check-out
+// AuthCompletion (or a lodging Sale), tied together by lodging.folioNumber. rows: that folio's, newest first.
+function folioOf(folioNumber, rows) {
+  const steps = [...rows].reverse();
+  const ok = (r) => ['approved', 'partial'].includes(r.outcome) && !r.voidedBy;
+  const sum = (list) => money.format(list.reduce((n, r) => n + (money.parse(String(r.amount ?? 0)).minor || 0), 0));
+  const lodging = Object.assign({}, ...steps.map(r => r.lodging));
+  const checkIn = steps.find(r => r.command === 'PreAuth' && !r.original && ok(r)) || null;
+  const closing = steps.filter(r => ['AuthCompletion', 'Sale'].includes(r.command) && ok(r));
+  const noShow = closing.some(r => String(r.lodging.noShow) === '1');
+  return {
+    folioNumber: String(folioNumber),
+    // pending: nothing approved yet; open: guest checked in; checked-out / no-show: captured
+    state: closing.length ? (noShow ? 'no-show' : 'checked-out') : checkIn ? 'open' : 'pending',
+    terminal: steps[0].terminal,
+    preAuth: checkIn && { referenceNumber: checkIn.referenceNumber, tranNo: checkIn.tranNo, requestId: checkIn.requestId },
+    checkInDate: lodging.checkInDate || null, checkOutDate: lodging.checkOutDate || null,
+    dailyRate: lodging.dailyRate || null, stayDuration: lodging.stayDuration || null,
+    authorized: sum(steps.filter(r => r.command === 'PreAuth' && ok(r))),
+    captured: sum(closing),
+    updatedAt: rows[0].at,
+    transactions: steps,
+  };
+}
+
+// Financial transactions for the history panel, newest first. ?q= matches ids, invoice, card and
+// amount; ?command=, ?outcome=, ?since= / ?until= (ISO date or time) and ?limit= narrow it down.
+app.get('/history', allow('read'), (req, res) => {
+  const { q, command, outcome, since, until } = req.query;
+  const limit = Number(req.query.limit || 100);
+  const rows = historyRows();
+  const needle = String(q || '').trim().toLowerCase();
+  const matches = (row) => !needle || [row.requestId, row.tranNo, row.referenceNumber, row.invoiceNbr, row.folioNumber, row.maskedPan, row.amount, row.brand]
+    .some(v => v != null && String(v).toLowerCase().includes(needle));
+  const sinceMs = since ? Date.parse(since) : -Infinity;
+  // A bare date as ?until= includes that whole day
+  const untilMs = until ? Date.parse(until) + (/^\d{4}-\d{2}-\d{2}$/.test(until) ? 24 * 3600 * 1000 : 0) : Infinity;
+  const transactions = rows
+    .filter(r => (!command || r.command === command) && (!outcome || r.outcome === outcome) && matches(r))
+    .filter(r => { const t = Date.parse(r.at); return !(t < sinceMs) && !(t >= untilMs); })
+    .slice(0, limit);
+  res.json({ ok: true, transactions });
+});
+
+// Lodging folios, most recently active first (?state=open etc., ?limit=); GET /folios/:folioNumber
+// adds the folio's transactions, oldest first
+function folios() {
+  const byFolio = new Map();
+  for (const r of historyRows()) {
+    if (r.folioNumber == null) continue;
+    if (!byFolio.has(r.folioNumber)) byFolio.set(r.folioNumber, []);
+    byFolio.get(r.folioNumber).push(r);
+  }
+  return [...byFolio].map(([folioNumber, rows]) => folioOf(folioNumber, rows));
+}
+app.get('/folios', allow('read'), (req, res) => {
+  const limit = Number(req.query.limit || 100);
+  const list = folios()
+    .filter(f => !req.query.state || f.state === req.query.state)
+    .slice(0, limit)
+    .map(({ transactions, ...f }) => ({ ...f, transactionCount: transactions.length }));
+  res.json({ ok: true, folios: list });
+});
+app.get('/folios/:folioNumber', allow('read'), (req, res) => {
+  const folio = folios().find(f => f.folioNumber === String(req.params.folioNumber));
+  if (!folio) return res.status(404).json({ ok: false, error: 'Unknown folio' });
+  res.json({ ok: true, folio });
+});
+
+// Live progress frames (Server-Sent Events)
+// EventSource can't send X-Api-Key: trade it for a single-use ?streamToken= first
+app.post('/events/token', allow('read'), (req, res) => {
+  res.json({ ok: true, ...auth.issueStreamToken(req.apiKey) });
+});
+app.get('/events', allow('read'), events.sseHandler);
+app.get('/events/:requestId', allow('read'), events.sseHandler);
+
+// Transaction journal lookups (survive restarts)
+app.get('/transactions', allow('read'), (req, res) => {
+  const { command, ip, ecrId } = req.query;
+  const limit = Number(req.query.limit || 100);
+  res.json({ ok: true, transactions: journal.list({ command, ip, ecrId, limit }) });
+});
+app.get('/transactions/:requestId', allow('read'), (req, res) => {
+  const entries = journal.get(req.params.requestId);
+  if (!entries.length) return res.status(404).json({ ok: false, error: 'Unknown requestId' });
+  res.json({ ok: true, requestId: req.params.requestId, entries });
 });
 
-// Update runtime defaults (optional)
-app.post('/config', (req, res) => {
-  CONFIG = { ...CONFIG, ...(req.body || {}) };
-  res.json({ ok: true, CONFIG });
+// Terminal registry (multi-lane stores); transaction routes accept terminalId instead of ip/port
+app.get('/terminals', allow('read'), (req, res) => {
+  res.json({ ok: true, terminals: terminals.list() });
+});
+app.get('/terminals/status', allow('read'), (req, res) => {
+  res.json({ ok: true, intervalMs: CONFIG.monitorIntervalMs, terminals: monitor.snapshot() });
+});
+app.get('/terminals/:id', allow('read'), (req, res) => {
+  const t = terminals.get(req.params.id);
+  if (!t) return res.status(404).json({ ok: false, error: 'Unknown terminal' });
+  res.json({ ok: true, terminal: t });
+});
+app.post('/terminals', allow('admin'), (req, res) => {
+  const { terminal, errors } = terminals.create(req.body || {});
+  if (errors) return res.status(400).json({ ok: false, error: 'Invalid terminal', details: errors });
+  res.status(201).json({ ok: true, terminal });
+});
+app.put('/terminals/:id', allow('admin'), (req, res) => {
+  const out = terminals.update(req.params.id, req.body || {});
+  if (!out) return res.status(404).json({ ok: false, error: 'Unknown terminal' });
+  if (out.errors) return res.status(400).json({ ok: false, error: 'Invalid terminal', details: out.errors });
+  res.json({ ok: true, terminal: out.terminal });
+});
+app.delete('/terminals/:id', allow('admin'), (req, res) => {
+  if (!terminals.remove(req.params.id)) return res.status(404).json({ ok: false, error: 'Unknown terminal' });
+  res.json({ ok: true });
+});
+
+// Clerk profiles (admin); PINs go in, only hashes are stored and nothing PIN-related comes back out
+app.get('/clerks', allow('admin'), (req, res) => {
+  res.json({ ok: true, clerks: clerks.list() });
+});
+app.post('/clerks', allow('admin'), (req, res) => {
+  const { clerk, errors } = clerks.create(req.body || {});
+  if (errors) return res.status(400).json({ ok: false, error: 'Invalid clerk', details: errors });
+  res.status(201).json({ ok: true, clerk });
+});
+app.put('/clerks/:clerkId', allow('admin'), (req, res) => {
+  const out = clerks.update(req.params.clerkId, req.body || {});
+  if (!out) return res.status(404).json({ ok: false, error: 'Unknown clerk' });
+  if (out.errors) return res.status(400).json({ ok: false, error: 'Invalid clerk', details: out.errors });
+  res.json({ ok: true, clerk: out.clerk });
+});
+app.delete('/clerks/:clerkId', allow('admin'), (req, res) => {
+  if (!clerks.remove(req.params.clerkId)) return res.status(404).json({ ok: false, error: 'Unknown clerk' });
+  res.json({ ok: true });
+});
+
+// Manager approvals, newest first (from the journal)
+app.get('/overrides', allow('admin'), (req, res) => {
+  const overrides = journal.list({ limit: Infinity }).filter(s => s.override)
+    .slice(0, Number(req.query.limit) || 100)
+    .map(s => ({ requestId: s.requestId, command: s.command, status: s.status, at: s.startedAt, ...s.override }));
+  res.json({ ok: true, overrides });
+});
+
+// Timeout reversals (server/reversals.js): pending ones are retried on their own; ?state= filters
+app.get('/reversals', allow('read'), (req, res) => {
+  res.json({ ok: true, reversals: reversals.list({ state: req.query.state }) });
+});
+app.post('/reversals/:requestId/retry', allow('refund'), async (req, res) => {
+  const item = await reversals.retryOne(req.params.requestId);
+  if (!item) return res.status(404).json({ ok: false, error: 'No reversal for this requestId' });
+  res.json({ ok: true, reversal: item });
+});
+
+// Effective configuration with the source of every value (default / env / file / runtime)
+app.get('/config', allow('read'), (req, res) => {
+  res.json({ ok: true, ...configStore.describe() });
+});
+
+// POST changes the running agent only; PUT also saves to config.json so it survives a restart
+function updateConfig(persist) {
+  return (req, res) => {
+    const out = configStore.apply(req.body || {}, { persist });
+    if (out.errors) return res.status(400).json({ ok: false, error: 'VALIDATION_FAILED', details: out.errors });
+    CONFIG = out.values;
+    monitor.start(); // picks up a monitor that was disabled (interval 0) and is now enabled
+    res.json({ ok: true, CONFIG });
+  };
+}
+app.post('/config', allow('admin'), updateConfig(false));
+app.put('/config', allow('admin'), updateConfig(true));
+
+// API keys (admin). The secret is only returned once, on creation.
+app.get('/auth/keys', allow('admin'), (req, res) => {
+  res.json({ ok: true, keys: auth.list() });
+});
+app.post('/auth/keys', allow('admin'), (req, res) => {
+  const r = auth.create(req.body || {});
+  if (r.errors) return res.status(400).json({ ok: false, errors: r.errors });
+  res.status(201).json({ ok: true, key: r.key });
+});
+app.delete('/auth/keys/:id', allow('admin'), (req, res) => {
+  if (!auth.remove(req.params.id)) return res.status(404).json({ ok: false, error: 'Unknown or built-in key' });
+  res.json({ ok: true });
 });
 
-app.listen(HTTP_PORT, () => {
-  console.log(`Agent listening on http://localhost:${HTTP_PORT}`);
+app.listen(HTTP_PORT, BIND_HOST, () => {
+  console.log(`Agent listening on http://${BIND_HOST}:${HTTP_PORT}`);
   console.log(`Default terminal ${CONFIG.terminalIp}:${CONFIG.primaryPort} (alt ${CONFIG.altPort}), ECR=${CONFIG.ecrId}`);
+  monitor.start();
+  reversals.start(); // picks up reversals left pending by an earlier run
 });
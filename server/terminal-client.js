@@ -0,0 +1,165 @@
+// server/terminal-client.js
+'use strict';
+const net = require('net');
+const { frameJson, ACK_FRAME, FrameAccumulator, isMultipart, mergeMessageParts, correlate } = require('./framing');
+const { redact, redactJsonText, redactedHex, maskText } = require('./redact');
+
+// One command / response exchange with a terminal over TCP.
+//   settings() -> { connectTimeoutMs, readTimeoutMs, idleByteTimeoutMs, ackTimeoutMs, ackRetries,
+//                   maxResponseBytes, multiMessageTimeoutMs }
+//   journal    -> append(entry), see server/journal.js
+//   events     -> publish(event), see server/events.js
+function createTerminalClient({ settings, journal, events }) {
+  // Low-level TCP call with ACK/MSG/ACK handling:
+  //   POS MSG -> terminal ACK (retransmit MSG up to ackRetries times if it doesn't come)
+  //   terminal MSG -> POS ACK (every MSG, so firmware doesn't re-queue the response)
+  function send({ ip, port, payload, timeouts, quiet = false }) {
+    return new Promise((resolve) => {
+      const log = [];
+      const ev = (type, msg, data) => log.push({ t: new Date().toISOString(), type, msg: maskText(msg), data: redact(data) });
+      const sock = new net.Socket();
+      let finished = false;
+      let sent = false; // once true, the command may have reached the terminal and must not be retried elsewhere
+
+      // Every journal entry is keyed by the envelope's requestId/command/EcrId and the target terminal.
+      // quiet (health-monitor probes) leaves no trace in the journal and publishes no events.
+      const meta = { requestId: String(payload.data?.requestId ?? ''), command: payload.data?.command, ip, port, ecrId: String(payload.data?.EcrId ?? '') };
+      const record = (kind, data, extra) => !quiet && journal.append({ ...meta, kind, data, ...extra });
+      const emit = (type, data) => !quiet && events.publish({ type, requestId: meta.requestId, command: meta.command, ip, port, data });
+
+      const config = settings();
+      const connectMs = timeouts.connect ?? config.connectTimeoutMs;
+      const readMs    = timeouts.read    ?? config.readTimeoutMs;
+      const idleMs    = timeouts.idle    ?? config.idleByteTimeoutMs;
+      const ackMs     = timeouts.ack     ?? config.ackTimeoutMs;
+
+      let overallTimer, idleTimer, ackTimer;
+      function armOverall() { clearTimeout(overallTimer); overallTimer = setTimeout(() => done('read-timeout'), readMs); }
+      function armIdle()    { clearTimeout(idleTimer);    idleTimer    = setTimeout(() => done('idle-timeout'), idleMs); }
+      function clearTimers(){ clearTimeout(overallTimer); clearTimeout(idleTimer); clearTimeout(ackTimer); clearTimeout(partsTimer); }
+
+      function done(error, rsp) {
+        if (finished) return;
+        finished = true;
+        clearTimers();
+        // On success end() gracefully so our closing ACK is flushed before the socket goes away
+        try { error ? sock.destroy() : sock.end(() => sock.destroy()); } catch {}
+        record(error ? 'error' : 'response', error || rsp, error && rsp ? { rsp } : undefined);
+        emit('done', error ? { ok: false, error } : { ok: true });
+        const multi = parts.length > 1 ? { parts } : {};
+        if (error) return resolve({ ok: false, error, ...(rsp ? { rsp } : {}), ...multi, sent, log });
+        resolve({ ok: true, rsp, ...multi, sent, log });
+      }
+
+      // Outbound MSG and its ACK from the terminal
+      const frame = frameJson(payload);
+      let msgAttempts = 0, awaitingAck = false;
+      function sendMsg() {
+        sent = true;
+        sock.write(frame);
+        msgAttempts++;
+        awaitingAck = true;
+        ev('handshake', msgAttempts === 1 ? 'MSG sent, awaiting terminal ACK' : `MSG retransmitted (attempt ${msgAttempts})`);
+        clearTimeout(ackTimer);
+        ackTimer = setTimeout(() => {
+          if (msgAttempts > config.ackRetries) {
+            ev('handshake', `No ACK from terminal after ${msgAttempts} attempts`);
+            return done('ack-timeout');
+          }
+          sendMsg();
+        }, ackMs);
+      }
+      function ackReceived(how) {
+        if (!awaitingAck) return;
+        awaitingAck = false;
+        clearTimeout(ackTimer);
+        ev('handshake', how);
+      }
+      function sendAck(what) {
+        sock.write(ACK_FRAME);
+        ev('handshake', `ACK sent for ${what}`);
+      }
+
+      // Multi-message replies (multipleMessage "1" on every part but the last) are collected here
+      let parts = [], partsBytes = 0, partsTimer;
+      function collectPart(obj, size) {
+        parts.push(obj);
+        partsBytes += size;
+        if (partsBytes > config.maxResponseBytes) return done('response-too-large', mergeMessageParts(parts));
+        if (isMultipart(obj)) {
+          if (parts.length === 1) partsTimer = setTimeout(() => done('multi-message-timeout', mergeMessageParts(parts)), config.multiMessageTimeoutMs);
+          ev('event', `Part ${parts.length} of multi-message ${meta.command} response, more to follow`);
+          return;
+        }
+        if (parts.length > 1) ev('event', `Reassembled ${parts.length}-part ${meta.command} response`);
+        done(null, mergeMessageParts(parts));
+      }
+
+      // Every complete STX…ETX frame in a chunk is handled; partial frames wait for the next chunk
+      const frames = new FrameAccumulator((text) => onFrame(text), {
+        maxBytes: config.maxResponseBytes,
+        onOverflow: () => { ev('error', `Frame exceeded ${config.maxResponseBytes} bytes`); done('response-too-large'); },
+      });
+      function onFrame(text) {
+        if (finished) return;
+        if (!text) return;
+        ev('recv-json', redactJsonText(text));
+        let obj; try { obj = JSON.parse(text); } catch { ev('warn','Non-JSON'); return; }
+
+        if (obj.message === 'ACK') { ackReceived('ACK from terminal'); return; }
+        const implicitAck = () => ackReceived(`No ACK, terminal answered with ${obj.message}; treating as acknowledged`);
+        if (['EVT','DSP','PIN','CNF','READY'].includes(obj.message)) {
+          implicitAck();
+          ev('event', `progress ${obj.message}`, obj);
+          record('progress', obj);
+          emit('progress', obj);
+          return;
+        }
+        if (obj.message === 'RSP' || obj.message === 'ERR' || obj.message === 'MSG') {
+          // Final responses depending on firmware; every MSG gets our ACK, correlated or not
+          const name = obj.data?.response ?? obj.response;
+          if (obj.message === 'MSG') sendAck(name || 'MSG');
+          const match = correlate(obj, meta);
+          if (match !== 'final') {
+            // Not our reply. One with our response name but another requestId is a stale answer the terminal
+            // re-sent (after a failover or retry): it says nothing about this command, so we keep waiting for
+            // ours. Should that never come, the timeout leaves a financial command in doubt, not failed.
+            if (match === 'id-mismatch') ev('warn', `Ignoring ${name} for requestId ${obj.data?.requestId ?? obj.requestId} (sent ${meta.requestId}); still waiting for ours`, obj);
+            else ev('event', `Unsolicited ${name || obj.message} (not a reply to ${meta.command})`, obj);
+            record('unsolicited', obj, match === 'id-mismatch' ? { reason: 'request-id-mismatch' } : undefined);
+            events.publish({ type: 'unsolicited', requestId: null, duringRequestId: meta.requestId, command: name || null, ip, port, data: obj });
+            return;
+          }
+          implicitAck();
+          return collectPart(obj, text.length);
+        }
+        ev('event', `Unhandled ${obj.message}`, obj);
+      }
+
+      sock.on('data', (chunk) => {
+        ev('recv-bytes', redactedHex(chunk));
+        armIdle();
+        frames.push(chunk);
+      });
+      sock.on('error', (err) => { ev('error', err.message); done(err.message); });
+
+      const connectGuard = setTimeout(() => { done('connect-timeout'); }, connectMs);
+      emit('connecting', null);
+
+      sock.connect(port, ip, () => {
+        clearTimeout(connectGuard);
+        ev('event', `TCP CONNECT ${ip}:${port}`);
+        record('send', payload);
+        emit('start', null);
+        sendMsg();
+        ev('send-json', redactJsonText(JSON.stringify(payload)));
+        ev('send-bytes', redactedHex(frame, ' '));
+        armOverall(); armIdle();
+      });
+    });
+  }
+
+  return { send };
+}
+
+module.exports = { createTerminalClient };
@@ -0,0 +1,63 @@
+// server/terminal-queue.js
+'use strict';
+
+// One lane per terminal (ip:port). Commands on a lane run strictly one at a time, in arrival order;
+// the terminal's behaviour with two concurrent ECR sessions is undefined.
+function createTerminalQueue() {
+  const lanes = new Map();
+
+  const keyOf = (ip, port) => `${ip}:${Number(port)}`;
+
+  function lane(ip, port) {
+    const key = keyOf(ip, port);
+    if (!lanes.has(key)) lanes.set(key, { active: null, background: false, waiting: [], tail: Promise.resolve() });
+    return lanes.get(key);
+  }
+
+  function status(ip, port) {
+    const l = lanes.get(keyOf(ip, port));
+    return {
+      busy: Boolean(l && l.active),
+      activeRequestId: (l && l.active) || null,
+      queued: l ? l.waiting.length : 0,
+      queuedRequestIds: l ? [...l.waiting] : [],
+    };
+  }
+
+  function snapshot() {
+    const out = {};
+    for (const [key, l] of lanes) {
+      if (l.active || l.waiting.length) out[key] = { activeRequestId: l.active, queued: l.waiting.length };
+    }
+    return out;
+  }
+
+  // Resolves with task()'s result once every earlier command on this terminal has finished
+  function run(ip, port, requestId, task) {
+    const l = lane(ip, port);
+    l.waiting.push(requestId);
+    const result = l.tail.then(() => {
+      l.waiting.splice(l.waiting.indexOf(requestId), 1);
+      l.active = requestId;
+      return task();
+    }).finally(() => { l.active = null; });
+    l.tail = result.catch(() => {});
+    return result;
+  }
+
+  // Background work (the monitor's Ping) runs only on an idle lane and never shows as busy, so a
+  // customer command arriving meanwhile queues briefly behind it instead of answering TERMINAL_BUSY.
+  // Resolves with null, without running task(), when the lane is in use.
+  function runIdle(ip, port, task) {
+    const l = lane(ip, port);
+    if (l.active || l.waiting.length || l.background) return Promise.resolve(null);
+    l.background = true;
+    const result = l.tail.then(task).finally(() => { l.background = false; });
+    l.tail = result.catch(() => {});
+    return result;
+  }
+
+  return { status, snapshot, run, runIdle };
+}
+
+module.exports = { createTerminalQueue };
@@ -0,0 +1,78 @@
+// server/terminals.js
+'use strict';
+const path = require('path');
+const { jsonStore } = require('./json-store');
+
+const ID_RE = /^[A-Za-z0-9_-]{1,40}$/;
+const isPort = (v) => Number.isInteger(Number(v)) && Number(v) > 0 && Number(v) < 65536;
+const isMs = (v) => Number.isFinite(Number(v)) && Number(v) > 0;
+
+// Named terminals (one per lane), persisted as a JSON array in terminals.json
+function createTerminalRegistry(dir) {
+  const store = jsonStore(path.join(dir, 'terminals.json'));
+  let items = store.load([]);
+  const save = () => store.save(items);
+
+  // Merge input over base and validate; returns { terminal, errors }
+  function normalize(input, base = {}) {
+    const t = { ...base, ...input, timeouts: { ...(base.timeouts || {}), ...(input.timeouts || {}) } };
+    const errors = [];
+    if (!ID_RE.test(String(t.id || ''))) errors.push('id must be 1-40 letters, digits, "-" or "_"');
+    if (!t.ip) errors.push('ip is required');
+    if (!isPort(t.primaryPort)) errors.push('primaryPort must be a TCP port');
+    if (t.altPort != null && t.altPort !== '' && !isPort(t.altPort)) errors.push('altPort must be a TCP port');
+    if (t.ecrId == null || t.ecrId === '') errors.push('ecrId is required');
+    if (t.indexesRequestId != null && typeof t.indexesRequestId !== 'boolean') errors.push('indexesRequestId must be true, false or null');
+    for (const k of ['connectMs', 'readMs', 'idleMs']) {
+      if (t.timeouts[k] != null && !isMs(t.timeouts[k])) errors.push(`timeouts.${k} must be a positive number of ms`);
+    }
+    if (errors.length) return { errors };
+    return {
+      terminal: {
+        id: String(t.id),
+        label: String(t.label || t.id),
+        ip: String(t.ip),
+        primaryPort: Number(t.primaryPort),
+        altPort: t.altPort == null || t.altPort === '' ? null : Number(t.altPort),
+        ecrId: String(t.ecrId),
+        indexesRequestId: t.indexesRequestId ?? null, // null = the indexesRequestId setting
+        timeouts: Object.fromEntries(Object.entries(t.timeouts).filter(([, v]) => v != null).map(([k, v]) => [k, Number(v)])),
+      },
+    };
+  }
+
+  const list = () => items.map(t => ({ ...t }));
+  const get = (id) => items.find(t => t.id === String(id)) || null;
+
+  function create(input) {
+    const id = input.id || `lane-${items.length + 1}-${Date.now().toString(36)}`;
+    if (get(id)) return { errors: [`terminal ${id} already exists`] };
+    const out = normalize({ ...input, id });
+    if (out.errors) return out;
+    items.push(out.terminal);
+    save();
+    return out;
+  }
+
+  function update(id, input) {
+    const existing = get(id);
+    if (!existing) return null;
+    const out = normalize({ ...input, id: existing.id }, existing);
+    if (out.errors) return out;
+    items = items.map(t => (t.id === existing.id ? out.terminal : t));
+    save();
+    return out;
+  }
+
+  function remove(id) {
+    const before = items.length;
+    items = items.filter(t => t.id !== String(id));
+    if (items.length === before) return false;
+    save();
+    return true;
+  }
+
+  return { list, get, create, update, remove };
+}
+
+module.exports = { createTerminalRegistry };
@@ -0,0 +1,112 @@
+// test/auth.test.js
+'use strict';
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const { WINDOW_SCOPES, createAuthStore } = require('../server/auth');
+
+const dirs = [];
+const tmpDir = () => { const d = fs.mkdtempSync(path.join(os.tmpdir(), 'agent-auth-')); dirs.push(d); return d; };
+test.after(() => { for (const d of dirs) fs.rmSync(d, { recursive: true, force: true }); });
+
+// Just enough of an express request for verify()
+function request({ method = 'GET', url = '/health', headers = {}, query = {}, body = '' } = {}) {
+  const lower = Object.fromEntries(Object.entries(headers).map(([k, v]) => [k.toLowerCase(), v]));
+  return { method, originalUrl: url, query, rawBody: body, get: (h) => lower[h.toLowerCase()] };
+}
+
+function signed(key, { method = 'POST', url = '/sale', body = '{}', ts = Date.now() } = {}) {
+  const bodyHash = crypto.createHash('sha256').update(body).digest('hex');
+  const sig = crypto.createHmac('sha256', key.secret).update(`${ts}\n${method}\n${url}\n${bodyHash}`).digest('hex');
+  return request({ method, url, body, headers: { 'X-Key-Id': key.id, 'X-Timestamp': String(ts), 'X-Signature': sig } });
+}
+
+test('window and admin keys are created once and persisted', () => {
+  const dir = tmpDir();
+  const auth = createAuthStore(dir);
+  const win = auth.localKey();
+  const admin = auth.adminKey();
+  assert.deepEqual(win.scopes, WINDOW_SCOPES);
+  assert.deepEqual(admin.scopes, ['admin']);
+  assert.equal(auth.localKey().id, win.id);
+
+  const again = createAuthStore(dir);
+  assert.equal(again.localKey().secret, win.secret);
+  assert.equal(again.adminKey().secret, admin.secret);
+  assert.equal(again.remove(win.id), false, 'builtin keys cannot be removed');
+  assert.ok(again.list().every(k => !('secret' in k)));
+  if (process.platform !== 'win32') assert.equal(fs.statSync(auth.file).mode & 0o777, 0o600);
+});
+
+test('an old window key with the admin scope is cut down to the window scopes', () => {
+  const dir = tmpDir();
+  fs.writeFileSync(path.join(dir, 'api-keys.json'), JSON.stringify([
+    { id: 'abc', label: 'Agent window', secret: 's3cret', scopes: ['admin'], builtin: true, createdAt: '2024-01-01T00:00:00.000Z' },
+  ]));
+  const key = createAuthStore(dir).localKey();
+  assert.equal(key.secret, 's3cret');
+  assert.equal(key.builtin, 'window');
+  assert.deepEqual(key.scopes, WINDOW_SCOPES);
+  assert.deepEqual(JSON.parse(fs.readFileSync(path.join(dir, 'api-keys.json'), 'utf8'))[0].scopes, WINDOW_SCOPES);
+});
+
+test('create validates label and scopes', () => {
+  const auth = createAuthStore(tmpDir());
+  assert.deepEqual(auth.create({ scopes: ['read'] }).errors, ['label is required']);
+  assert.deepEqual(auth.create({ label: 'POS', scopes: [] }).errors, ['scopes must be a non-empty array']);
+  assert.match(auth.create({ label: 'POS', scopes: ['root'] }).errors[0], /unknown scope root/);
+  const { key } = auth.create({ label: 'POS', scopes: ['sale', 'sale'] });
+  assert.deepEqual(key.scopes, ['sale']);
+  assert.equal(auth.remove(key.id), true);
+  assert.equal(auth.list().length, 0);
+});
+
+test('scopes: admin implies every other scope', () => {
+  const auth = createAuthStore(tmpDir());
+  const win = auth.localKey();
+  assert.ok(auth.hasScope(win, 'refund'));
+  assert.ok(!auth.hasScope(win, 'admin'));
+  assert.ok(auth.hasScope(auth.adminKey(), 'refund'));
+  assert.ok(!auth.hasScope(null, 'read'));
+});
+
+test('API key in X-Api-Key or Authorization: Bearer', () => {
+  const auth = createAuthStore(tmpDir());
+  const key = auth.localKey();
+  assert.equal(auth.verify(request({ headers: { 'X-Api-Key': key.secret } })).key.id, key.id);
+  assert.equal(auth.verify(request({ headers: { Authorization: `Bearer ${key.secret}` } })).key.id, key.id);
+  assert.equal(auth.verify(request({ headers: { 'X-Api-Key': 'nope' } })).error, 'Invalid API key');
+  assert.match(auth.verify(request()).error, /required/);
+  // Keys never travel in the URL
+  assert.match(auth.verify(request({ query: { apiKey: key.secret } })).error, /required/);
+});
+
+test('signed requests: body, path and timestamp are covered and a signature works once', () => {
+  const auth = createAuthStore(tmpDir());
+  const key = auth.localKey();
+  const req = signed(key);
+  assert.equal(auth.verify(req).key.id, key.id);
+  assert.equal(auth.verify(req).error, 'Signature already used');
+
+  const tampered = signed(key, { body: '{"a":1}' });
+  tampered.rawBody = '{"a":2}';
+  assert.equal(auth.verify(tampered).error, 'Bad signature');
+  const moved = signed(key);
+  moved.originalUrl = '/refund';
+  assert.equal(auth.verify(moved).error, 'Bad signature');
+  assert.match(auth.verify(signed(key, { ts: Date.now() - 10 * 60 * 1000 })).error, /outside the allowed window/);
+  assert.equal(auth.verify(signed({ ...key, id: 'unknown' })).error, 'Unknown key id');
+});
+
+test('stream tokens are single-use and only accepted on GET', () => {
+  const auth = createAuthStore(tmpDir());
+  const key = auth.localKey();
+  const { token, expiresInMs } = auth.issueStreamToken(key);
+  assert.ok(expiresInMs > 0);
+  assert.match(auth.verify(request({ method: 'POST', query: { streamToken: token } })).error, /required/);
+  assert.equal(auth.verify(request({ url: '/events', query: { streamToken: token } })).key.id, key.id);
+  assert.match(auth.verify(request({ url: '/events', query: { streamToken: token } })).error, /Invalid or expired/);
+});
@@ -0,0 +1,71 @@
+// test/framing.test.js
+'use strict';
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { STX, frameJson, FrameAccumulator, isMultipart, mergeMessageParts, correlate } = require('../server/framing');
+
+function accumulate(options) {
+  const frames = [];
+  const acc = new FrameAccumulator((text) => frames.push(JSON.parse(text)), options);
+  return { acc, frames };
+}
+
+test('a frame split across chunks at any byte comes out once, whole', () => {
+  const bytes = frameJson({ message: 'MSG', data: { requestId: '000042', response: 'Sale' } });
+  for (let cut = 1; cut < bytes.length; cut++) {
+    const { acc, frames } = accumulate();
+    acc.push(bytes.subarray(0, cut));
+    acc.push(bytes.subarray(cut));
+    assert.deepEqual(frames, [{ message: 'MSG', data: { requestId: '000042', response: 'Sale' } }], `cut at byte ${cut}`);
+  }
+});
+
+test('several frames in one chunk, a trailing partial one and noise between frames', () => {
+  const { acc, frames } = accumulate();
+  const third = frameJson({ message: 'MSG', data: { n: 3 } });
+  acc.push(Buffer.concat([
+    Buffer.from('noise'), frameJson({ message: 'ACK', data: '' }), Buffer.from([0x0D, 0x0A]),
+    frameJson({ message: 'EVT', data: { n: 2 } }), third.subarray(0, 5),
+  ]));
+  assert.deepEqual(frames.map(f => f.message), ['ACK', 'EVT']);
+  acc.push(third.subarray(5));
+  assert.deepEqual(frames.map(f => f.message), ['ACK', 'EVT', 'MSG']);
+});
+
+test('an unterminated frame past maxBytes is dropped and reported', () => {
+  let overflows = 0;
+  const { acc, frames } = accumulate({ maxBytes: 64, onOverflow: () => { overflows++; } });
+  acc.push(Buffer.from([STX, 0x0A]));
+  acc.push(Buffer.alloc(80, 0x41));
+  assert.equal(overflows, 1);
+  acc.push(frameJson({ message: 'ACK', data: '' }));
+  assert.deepEqual(frames, [{ message: 'ACK', data: '' }], 'the next frame after the overflow still parses');
+});
+
+test('multi-message parts merge: objects deep, arrays concatenated, scalars from the latest part', () => {
+  const parts = [
+    { message: 'MSG', data: { response: 'TransactionList', multipleMessage: '1', transactions: [{ tranNo: '1' }], summary: { count: 1 } } },
+    { message: 'MSG', data: { response: 'TransactionList', multipleMessage: '1', transactions: [{ tranNo: '2' }], summary: { total: '5.00' } } },
+    { message: 'MSG', data: { response: 'TransactionList', multipleMessage: '0', transactions: [{ tranNo: '3' }], summary: { count: 3 } } },
+  ];
+  assert.deepEqual(parts.map(isMultipart), [true, true, false]);
+  assert.equal(isMultipart({ message: 'MSG', data: { data: { multipleMessage: 1 } } }), true);
+  assert.deepEqual(mergeMessageParts(parts).data, {
+    response: 'TransactionList', multipleMessage: '0',
+    transactions: [{ tranNo: '1' }, { tranNo: '2' }, { tranNo: '3' }],
+    summary: { count: 3, total: '5.00' },
+  });
+  assert.equal(mergeMessageParts([parts[0]]), parts[0]);
+});
+
+test('correlate matches on the echoed requestId and the response name', () => {
+  const sent = { requestId: '000042', command: 'Sale' };
+  const reply = (data) => ({ message: 'MSG', data });
+  assert.equal(correlate(reply({ requestId: '000042', response: 'Sale' }), sent), 'final');
+  assert.equal(correlate(reply({ requestId: '000042', response: 'CreditSale' }), sent), 'final');
+  assert.equal(correlate(reply({ response: 'Sale' }), sent), 'final', 'firmware that does not echo the requestId');
+  assert.equal(correlate(reply({ requestId: '000042' }), sent), 'final', 'firmware that does not name the response');
+  assert.equal(correlate(reply({ requestId: '000041', response: 'Sale' }), sent), 'id-mismatch');
+  assert.equal(correlate(reply({ requestId: '000041', response: 'SystemReady' }), sent), 'unsolicited');
+  assert.equal(correlate(reply({ response: 'SystemReady' }), sent), 'unsolicited');
+});
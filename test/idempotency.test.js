@@ -0,0 +1,72 @@
+// test/idempotency.test.js
+'use strict';
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createIdempotencyStore } = require('../server/idempotency');
+
+const DAY_MS = 24 * 3600 * 1000;
+const tmpDir = () => fs.mkdtempSync(path.join(os.tmpdir(), 'idempotency-'));
+const store = (dir) => createIdempotencyStore(dir, { ttlMs: () => DAY_MS });
+
+test('a finished key replays the stored status and body, also after a restart', () => {
+  const dir = tmpDir();
+  const s = store(dir);
+  const fp = s.fingerprint('/sale', { transaction: { baseAmount: '5.00' } });
+  s.start('k1', '/sale', fp, 42);
+  assert.equal(s.lookup('k1').state, 'in-flight');
+  assert.equal(s.lookup('k1').requestId, '42');
+
+  s.finish('k1', 200, { ok: true, requestId: '000042' });
+  s.finish('k1', 500, { ok: false }); // only the first answer counts
+  const again = store(dir).lookup('k1');
+  assert.equal(again.state, 'done');
+  assert.equal(again.status, 200);
+  assert.deepEqual(again.body, { ok: true, requestId: '000042' });
+  assert.equal(again.fingerprint, fp);
+});
+
+test('fingerprints tell a different request apart but ignore the key itself and the manager override', () => {
+  const s = store(tmpDir());
+  const body = { transaction: { baseAmount: '5.00' } };
+  const fp = s.fingerprint('/sale', body);
+  assert.equal(s.fingerprint('/sale', { ...body, idempotencyKey: 'k1', override: { clerkId: '7', pin: '1234' } }), fp);
+  assert.notEqual(s.fingerprint('/sale', { transaction: { baseAmount: '6.00' } }), fp);
+  assert.notEqual(s.fingerprint('/refund', body), fp);
+});
+
+test('a key released after a send that never reached the terminal can be used again', () => {
+  const dir = tmpDir();
+  const s = store(dir);
+  s.start('k2', '/sale', 'fp', '000043');
+  s.release('k2');
+  assert.equal(s.lookup('k2'), null);
+  s.finish('k2', 200, { ok: true }); // a late answer for the released attempt stores nothing
+  assert.equal(s.lookup('k2'), null);
+  assert.equal(store(dir).lookup('k2'), null);
+});
+
+test('a key in flight when the agent stopped comes back interrupted', () => {
+  const dir = tmpDir();
+  store(dir).start('k3', '/sale', 'fp', '000044');
+  const restarted = store(dir);
+  assert.equal(restarted.lookup('k3').state, 'interrupted');
+  restarted.finish('k3', 200, { ok: true });
+  assert.equal(restarted.lookup('k3').state, 'interrupted');
+});
+
+test('keys expire after the TTL', () => {
+  const dir = tmpDir();
+  const old = new Date(Date.now() - 2 * DAY_MS).toISOString();
+  const fresh = new Date().toISOString();
+  fs.writeFileSync(path.join(dir, 'idempotency.json'), JSON.stringify([
+    { key: 'old', route: '/sale', fingerprint: 'fp', requestId: '1', state: 'done', status: 200, body: {}, createdAt: old },
+    { key: 'fresh', route: '/sale', fingerprint: 'fp', requestId: '2', state: 'done', status: 200, body: {}, createdAt: fresh },
+  ]));
+  const s = store(dir);
+  assert.equal(s.lookup('old'), null);
+  assert.equal(s.lookup('fresh').requestId, '2');
+  assert.deepEqual(JSON.parse(fs.readFileSync(path.join(dir, 'idempotency.json'), 'utf8')).map(e => e.key), ['fresh']);
+});
@@ -0,0 +1,59 @@
+// test/journal.test.js
+'use strict';
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createJournal } = require('../server/journal');
+
+const tmpDir = () => fs.mkdtempSync(path.join(os.tmpdir(), 'journal-'));
+const entry = (requestId, kind, data) => ({ requestId, command: 'Sale', ip: '10.0.0.5', port: 8081, ecrId: '13', kind, data });
+
+test('list serves summaries from memory, newest first, without rereading the file', () => {
+  const dir = tmpDir();
+  const journal = createJournal(dir);
+  journal.append(entry('000001', 'send', { data: { data: { transaction: { baseAmount: '5.00' } } } }));
+  journal.append(entry('000002', 'send', {}));
+  journal.append(entry('000001', 'response', { data: { host: { tranNo: '0001' } } }));
+  fs.writeFileSync(journal.file, ''); // a reread would find nothing
+
+  const list = journal.list();
+  assert.deepEqual(list.map(s => s.requestId), ['000002', '000001']);
+  assert.equal(list[1].status, 'ok');
+  assert.deepEqual(list[1].transaction, { baseAmount: '5.00' });
+  assert.equal(list[0].status, 'pending');
+  assert.equal(journal.find('000001').status, 'ok');
+  assert.equal(journal.find('999999'), null);
+  assert.deepEqual(journal.list({ limit: 1 }).map(s => s.requestId), ['000002']);
+});
+
+test('the index is rebuilt from the active and rotated files after a restart', () => {
+  const dir = tmpDir();
+  const settings = () => ({ rotateBytes: 300, retentionDays: 30 });
+  const journal = createJournal(dir, { settings });
+  for (let i = 1; i <= 5; i++) journal.append(entry(`00000${i}`, 'error', { error: 'read-timeout' }));
+  journal.append(entry('000003', 'recovery', { state: 'resolved' }));
+
+  const files = fs.readdirSync(dir);
+  assert.ok(files.some(f => /^journal-\d+\.jsonl$/.test(f)), 'rotated past rotateBytes');
+
+  const restarted = createJournal(dir, { settings });
+  assert.deepEqual(restarted.list().map(s => s.requestId), ['000005', '000004', '000003', '000002', '000001']);
+  assert.equal(restarted.find('000003').status, 'ok');
+  assert.equal(restarted.find('000001').status, 'error');
+  assert.deepEqual(restarted.get('000003').map(e => e.kind), ['error', 'recovery']);
+});
+
+test('rotated files and summaries past retentionDays are dropped', () => {
+  const dir = tmpDir();
+  const old = new Date(Date.now() - 40 * 24 * 3600 * 1000);
+  const line = (requestId) => JSON.stringify({ t: old.toISOString(), ...entry(requestId, 'error', {}) }) + '\n';
+  fs.writeFileSync(path.join(dir, `journal-${old.getTime()}.jsonl`), line('000001'));
+  fs.writeFileSync(path.join(dir, 'journal.jsonl'), line('000002'));
+
+  const journal = createJournal(dir, { settings: () => ({ rotateBytes: Infinity, retentionDays: 30 }) });
+  journal.append(entry('000003', 'send', {}));
+  assert.deepEqual(journal.list().map(s => s.requestId), ['000003']);
+  assert.deepEqual(fs.readdirSync(dir), ['journal.jsonl']);
+});
@@ -0,0 +1,37 @@
+// test/json-store.test.js
+'use strict';
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { jsonStore } = require('../server/json-store');
+
+const tmpDir = () => fs.mkdtempSync(path.join(os.tmpdir(), 'json-store-'));
+
+test('load falls back while the file is missing or unreadable', () => {
+  const file = path.join(tmpDir(), 'nested', 'items.json');
+  const store = jsonStore(file);
+  assert.deepEqual(store.load([]), []);
+  assert.equal(store.load(), null);
+  fs.writeFileSync(file, '{ torn');
+  assert.deepEqual(store.load([]), []);
+});
+
+test('save replaces the document whole and leaves no temp file behind', () => {
+  const dir = tmpDir();
+  const store = jsonStore(path.join(dir, 'items.json'));
+  store.save([{ id: 1 }]);
+  store.save([{ id: 2 }]);
+  assert.deepEqual(jsonStore(store.file).load(), [{ id: 2 }]);
+  assert.deepEqual(fs.readdirSync(dir), ['items.json']);
+  assert.match(fs.readFileSync(store.file, 'utf8'), /\n {2}/);
+});
+
+test('compact and mode options', { skip: process.platform === 'win32' && 'no POSIX modes' }, () => {
+  const dir = tmpDir();
+  const store = jsonStore(path.join(dir, 'secret.json'), { mode: 0o600, compact: true });
+  store.save({ secret: 'x' });
+  assert.equal(fs.readFileSync(store.file, 'utf8'), '{"secret":"x"}');
+  assert.equal(fs.statSync(store.file).mode & 0o777, 0o600);
+});
@@ -0,0 +1,74 @@
+// test/money.test.js
+'use strict';
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseMinor, formatMinor, createMoney } = require('../server/money');
+
+test('parseMinor reads decimal strings and numbers into minor units', () => {
+  assert.deepEqual(parseMinor('12.5'), { minor: 1250 });
+  assert.deepEqual(parseMinor('12.50'), { minor: 1250 });
+  assert.deepEqual(parseMinor(' 7 '), { minor: 700 });
+  assert.deepEqual(parseMinor('0.01'), { minor: 1 });
+  assert.deepEqual(parseMinor('3.'), { minor: 300 });
+  assert.deepEqual(parseMinor(12.5), { minor: 1250 });
+  assert.deepEqual(parseMinor('12', 0), { minor: 12 });
+  assert.deepEqual(parseMinor('1.234', 3), { minor: 1234 });
+});
+
+test('parseMinor rejects what would drift or turn into NaN on the wire', () => {
+  assert.match(parseMinor('1.005').error, /at most 2 decimal places/);
+  assert.match(parseMinor('-1.00').error, /negative/);
+  assert.match(parseMinor('abc').error, /decimal amount/);
+  assert.match(parseMinor('1,00').error, /decimal amount/);
+  assert.match(parseMinor('').error, /decimal amount/);
+  assert.match(parseMinor(null).error, /decimal amount/);
+  assert.match(parseMinor(NaN).error, /finite/);
+  assert.match(parseMinor(1e21).error, /decimal amount/);
+  assert.match(parseMinor('99999999999999999').error, /too large/);
+});
+
+test('formatMinor writes the terminal string form', () => {
+  assert.equal(formatMinor(1250), '12.50');
+  assert.equal(formatMinor(5), '0.05');
+  assert.equal(formatMinor(0), '0.00');
+  assert.equal(formatMinor(-5), '-0.05');
+  assert.equal(formatMinor(12, 0), '12');
+  assert.equal(formatMinor(1234, 3), '1.234');
+});
+
+test('createMoney follows the configured currency and minor units', () => {
+  let settings = { currency: 'usd' };
+  const money = createMoney(() => settings);
+  assert.deepEqual(money.currency(), { code: 'USD', minorUnits: 2 });
+  assert.equal(money.format(money.parse('1.5').minor), '1.50');
+
+  settings = { currency: 'EUR', minorUnits: 3 };
+  assert.deepEqual(money.currency(), { code: 'EUR', minorUnits: 3 });
+  assert.equal(money.format(money.parse('1.5').minor), '1.500');
+
+  settings = { currency: 'XYZ' };
+  assert.throws(() => money.currency(), /Unsupported currency XYZ/);
+});
+
+test('normalize rewrites amount fields in place and skips empty ones', () => {
+  const money = createMoney(() => ({ currency: 'USD' }));
+  const block = { baseAmount: 10, tipAmount: '1.5', taxAmount: '', invoiceNbr: '42' };
+  money.normalize(block, ['baseAmount', 'tipAmount', 'taxAmount']);
+  assert.deepEqual(block, { baseAmount: '10.00', tipAmount: '1.50', taxAmount: '', invoiceNbr: '42' });
+  assert.doesNotThrow(() => money.normalize(undefined, ['baseAmount']));
+});
+
+test('checkTotals requires a Sale totalAmount to match its parts', () => {
+  const money = createMoney(() => ({ currency: 'USD' }));
+  assert.deepEqual(money.checkTotals('Sale', { baseAmount: '10.00', tipAmount: '2.00', taxAmount: '0.80', totalAmount: '12.80' }), []);
+  assert.deepEqual(money.checkTotals('Sale', { baseAmount: '0.10', tipAmount: '0.20', totalAmount: '0.30' }), []);
+  assert.deepEqual(money.checkTotals('Sale', { baseAmount: '10.00' }), []);
+  const [err] = money.checkTotals('ManualSale', { baseAmount: '10.00', tipAmount: '1.00', totalAmount: '10.00' });
+  assert.equal(err.field, 'transaction.totalAmount');
+  assert.match(err.message, /\(11\.00\)/);
+  assert.match(err.message, /^must equal baseAmount \+ tipAmount \+ taxAmount \(/, 'a keyed sale has no cash back');
+  assert.match(money.checkTotals('Sale', { baseAmount: '10.00', cashBackAmount: '20.00', totalAmount: '10.00' })[0].message, /cashBackAmount \(30\.00\)/);
+  // Other commands carry no parts to add up; bad amounts are left to the schema
+  assert.deepEqual(money.checkTotals('Refund', { totalAmount: '5.00' }), []);
+  assert.deepEqual(money.checkTotals('Sale', { baseAmount: 'abc', totalAmount: '1.00' }), []);
+});
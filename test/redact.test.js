@@ -0,0 +1,67 @@
+// test/redact.test.js
+'use strict';
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { maskPan, maskText, redact, redactJsonText, redactedHex, patchConsole, applyDebugLevel } = require('../server/redact');
+
+const PAN = '4111111111111111'; // passes Luhn
+
+test('maskPan keeps the first 6 and last 4 digits', () => {
+  assert.equal(maskPan(PAN), '411111******1111');
+  assert.equal(maskPan('1234'), '****');
+});
+
+test('maskText masks Luhn-valid card numbers and secret pairs only', () => {
+  assert.equal(maskText(`card ${PAN} ok`), 'card 411111******1111 ok');
+  assert.equal(maskText('order 4111111111111112'), 'order 4111111111111112'); // fails Luhn
+  assert.equal(maskText('requestId 000123'), 'requestId 000123');
+  assert.equal(maskText('{"cvv": "123", "pin":4321}'), '{"cvv": "[REDACTED]", "pin":"[REDACTED]"}');
+});
+
+test('redact drops secrets, masks PAN fields and leaves the input alone', () => {
+  const input = {
+    params: { cardPAN: PAN, cvv: '123', clerkId: '7' },
+    card: { pan: '4111 1111 1111 1111', expiryDate: '1230', track2Data: ';4111...' },
+    host: { avsMatch: 'match', cvvMatch: 'no-match', note: `paid with ${PAN}` },
+    list: [{ pinBlock: 'ABCD', amount: '1.00' }],
+  };
+  const copy = JSON.parse(JSON.stringify(input));
+  assert.deepEqual(redact(input), {
+    params: { cardPAN: '411111******1111', clerkId: '7' },
+    card: { pan: '411111******1111', expiryDate: '1230' },
+    host: { avsMatch: 'match', cvvMatch: 'no-match', note: 'paid with 411111******1111' },
+    list: [{ amount: '1.00' }],
+  });
+  assert.deepEqual(input, copy);
+});
+
+test('redactJsonText handles JSON and free text', () => {
+  assert.equal(redactJsonText(`{"pan":"${PAN}","cvv":"999"}`), '{"pan":"411111******1111"}');
+  assert.equal(redactJsonText(`not json ${PAN}`), 'not json 411111******1111');
+});
+
+test('redactedHex dumps the masked bytes', () => {
+  assert.equal(redactedHex(Buffer.from('ab')), '6162');
+  assert.equal(redactedHex(Buffer.from('a'), ' '), '0x61');
+  assert.equal(Buffer.from(redactedHex(Buffer.from(PAN)), 'hex').toString(), '411111******1111');
+});
+
+test('patchConsole redacts every argument and only patches once', () => {
+  const seen = [];
+  const c = { log: (...a) => seen.push(a), info() {}, warn() {}, error: (...a) => seen.push(a), debug() {} };
+  patchConsole(c);
+  const patched = c.error;
+  patchConsole(c);
+  assert.equal(c.error, patched);
+  c.log(`pan ${PAN}`, { cvv: '1' });
+  c.error('failed:', { cardNumber: PAN });
+  assert.deepEqual(seen, [['pan 411111******1111', {}], ['failed:', { cardNumber: '411111******1111' }]]);
+});
+
+test('applyDebugLevel trims the log', () => {
+  const body = { ok: true, log: [{ type: 'connect', msg: 'hi', data: 'x' }, { type: 'send-json', data: '{}' }] };
+  assert.deepEqual(applyDebugLevel(body, 'off').log, []);
+  assert.deepEqual(applyDebugLevel(body, 'basic').log, [{ type: 'connect', msg: 'hi' }]);
+  assert.equal(applyDebugLevel(body, 'verbose'), body);
+  assert.equal(applyDebugLevel(null, 'off'), null);
+});
@@ -0,0 +1,75 @@
+// test/request-ids.test.js
+'use strict';
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createRequestIdAllocator } = require('../server/request-ids');
+
+const tmpDir = () => fs.mkdtempSync(path.join(os.tmpdir(), 'request-ids-'));
+const seed = (dir, state) => fs.writeFileSync(path.join(dir, 'request-ids.json'), JSON.stringify({ version: 2, recent: [], ...state }));
+const saved = (dir) => JSON.parse(fs.readFileSync(path.join(dir, 'request-ids.json'), 'utf8'));
+const allocator = (dir, digits = 6) => createRequestIdAllocator(dir, { digits: () => digits });
+
+test('ids are zero-padded to the configured width and wrap back to 1, never 0', () => {
+  const dir = tmpDir();
+  seed(dir, { ceiling: 999998 });
+  const ids = allocator(dir);
+  assert.deepEqual([ids.next(), ids.next(), ids.next()], ['999999', '000001', '000002']);
+
+  const wide = tmpDir();
+  seed(wide, { ceiling: 41 });
+  assert.equal(allocator(wide, 8).next(), '00000042');
+});
+
+test('the reserved ceiling is written ahead of the ids handed out; a restart continues above it', () => {
+  const dir = tmpDir();
+  seed(dir, { ceiling: 500 });
+  const ids = allocator(dir);
+  assert.equal(ids.next(), '000501');
+  assert.equal(saved(dir).ceiling, 600, 'written before the first id of a reservation goes out');
+  for (let i = 0; i < 10; i++) ids.next();
+  assert.equal(saved(dir).ceiling, 600, 'not rewritten for ids inside the reservation');
+
+  // Crash without flush: the 10 ids after 000501 are not in the file, but all of them sit under the ceiling
+  assert.equal(allocator(dir).next(), '000601');
+});
+
+test('claim accepts a fresh id of the configured width once, and next() steps around claimed ids', () => {
+  const dir = tmpDir();
+  seed(dir, { ceiling: 500 });
+  const ids = allocator(dir);
+  assert.deepEqual(ids.claim('000501'), { id: '000501' });
+  assert.match(ids.claim('000501').error, /already used/);
+  assert.match(ids.claim('501').error, /6 digits/);
+  assert.match(ids.claim('000000').error, /all zeros/);
+  assert.equal(ids.next(), '000502');
+  assert.match(ids.claim('000502').error, /already used/);
+  assert.equal(ids.probe(), '000000');
+});
+
+test('used ids survive a restart, so a repeated requestId is still refused', () => {
+  const dir = tmpDir();
+  seed(dir, { ceiling: 500 });
+  const ids = allocator(dir);
+  const handedOut = ids.next();
+  ids.claim('123456');
+  ids.flush();
+
+  const restarted = allocator(dir);
+  assert.match(restarted.claim(handedOut).error, /already used/);
+  assert.match(restarted.claim('123456').error, /already used/);
+  assert.deepEqual(restarted.claim('123457'), { id: '123457' });
+});
+
+test('the per-terminal layout of earlier versions continues above the highest id of any lane', () => {
+  const dir = tmpDir();
+  fs.writeFileSync(path.join(dir, 'request-ids.json'), JSON.stringify({
+    '10.0.0.5:8081': { last: 700, recent: ['000700'] },
+    '10.0.0.6:8081': { last: 900, recent: ['000900'] },
+  }));
+  const ids = allocator(dir);
+  assert.equal(ids.next(), '000901');
+  assert.match(ids.claim('000700').error, /already used/);
+});
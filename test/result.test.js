@@ -0,0 +1,86 @@
+// test/result.test.js
+'use strict';
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { OUTCOME, normalizeResponse, resolveFromInquiry, applyRecovery } = require('../server/result');
+
+// StatusInquiry answers as normalizeResponse builds them from the terminal's frames
+const found = (transaction) => normalizeResponse({
+  requestId: '000900', command: 'StatusInquiry',
+  out: { ok: true, sent: true, error: null, rsp: { message: 'MSG', response: 'StatusInquiry', data: { transaction } } },
+});
+const notFound = () => normalizeResponse({
+  requestId: '000900', command: 'StatusInquiry',
+  out: { ok: true, sent: true, error: null, rsp: { message: 'MSG', data: { response: 'StatusInquiry', cmdResult: { result: 'Failed', errorCode: 'TXN001', errorMessage: 'TRANSACTION NOT FOUND' } } } },
+});
+const noAnswer = () => normalizeResponse({ requestId: '000900', command: 'StatusInquiry', out: { ok: false, sent: true, error: 'read-timeout', rsp: null } });
+
+test('a found record settles the command from its status', () => {
+  const r = resolveFromInquiry('Sale', found({ type: 'Sale', status: 'APPROVED', tranNo: '77', amount: '5.00' }));
+  assert.equal(r.outcome, OUTCOME.APPROVED);
+  assert.equal(r.response, 'Sale');
+  assert.equal(r.tranNo, '77');
+  assert.equal(r.amounts.authorized, '5.00');
+
+  const voided = resolveFromInquiry('Sale', found({ type: 'Sale', status: 'VOIDED', amount: '5.00' }));
+  assert.equal(voided.outcome, OUTCOME.DECLINED);
+  assert.equal(voided.errorCode, 'VOIDED');
+  assert.equal(voided.amounts.authorized, null);
+
+  assert.equal(resolveFromInquiry('PreAuth', found({ type: 'PreAuth', status: 'COMPLETED' })).outcome, OUTCOME.APPROVED);
+  assert.equal(resolveFromInquiry('AuthCompletion', found({ type: 'Capture', status: 'APPROVED' })).outcome, OUTCOME.APPROVED);
+});
+
+test('a pending or unknown status leaves it unresolved', () => {
+  assert.equal(resolveFromInquiry('Sale', found({ type: 'Sale', status: 'PENDING' })), null);
+  assert.equal(resolveFromInquiry('Sale', noAnswer()), null);
+});
+
+test('a record of another type never settles the command', () => {
+  assert.equal(resolveFromInquiry('Sale', found({ type: 'PreAuth', status: 'APPROVED' })), null);
+  assert.equal(resolveFromInquiry('Sale', found({ type: 'PreAuth', status: 'APPROVED' }), { byInvoice: true }), null);
+  // Found by invoice number, the type has to be there to prove it is ours
+  assert.equal(resolveFromInquiry('Sale', found({ status: 'APPROVED' }), { byInvoice: true }), null);
+  assert.equal(resolveFromInquiry('Sale', found({ status: 'APPROVED' })).outcome, OUTCOME.APPROVED);
+  assert.equal(resolveFromInquiry('Sale', found({ type: 'Sale', status: 'APPROVED' }), { byInvoice: true }).outcome, OUTCOME.APPROVED);
+});
+
+test('not found means declined only for commands that create a record, on a terminal that indexes requestIds', () => {
+  const indexed = { indexesRequestId: true };
+  for (const command of ['Sale', 'PreAuth', 'Refund', 'Void']) {
+    const r = resolveFromInquiry(command, notFound(), indexed);
+    assert.equal(r.outcome, OUTCOME.DECLINED, command);
+    assert.equal(r.errorCode, 'TXN001');
+  }
+  assert.equal(resolveFromInquiry('TipAdjust', notFound(), { ...indexed, transaction: { tranNo: '5', tipAmount: '1.00' } }), null);
+  assert.equal(resolveFromInquiry('AuthCompletion', notFound(), { ...indexed, transaction: { tranNo: '5', amount: '1.00' } }), null);
+  // Incremental authorization tops up the original PreAuth
+  assert.equal(resolveFromInquiry('PreAuth', notFound(), { ...indexed, transaction: { referenceNumber: 'R1', amount: '1.00' } }), null);
+});
+
+test('not found settles nothing on a terminal that may not keep requestIds', () => {
+  for (const command of ['Sale', 'PreAuth', 'Refund', 'Void']) assert.equal(resolveFromInquiry(command, notFound()), null, command);
+  assert.equal(resolveFromInquiry('Sale', notFound(), { indexesRequestId: false }), null);
+});
+
+test('applyRecovery merges a resolved result and keeps the unresolved body as is', () => {
+  const inDoubt = normalizeResponse({ requestId: '000123', command: 'Sale', out: { ok: false, sent: true, error: 'read-timeout', rsp: null } });
+  assert.equal(inDoubt.result.outcome, OUTCOME.UNKNOWN);
+
+  const approved = resolveFromInquiry('Sale', found({ type: 'Sale', status: 'APPROVED', amount: '5.00' }));
+  const resolved = applyRecovery(inDoubt, { state: 'resolved', attempts: 1, result: approved });
+  assert.equal(resolved.ok, true);
+  assert.equal(resolved.error, null);
+  assert.equal(resolved.result, approved);
+  assert.deepEqual(resolved.recovery, { state: 'resolved', attempts: 1 });
+
+  const declined = applyRecovery(inDoubt, { state: 'resolved', attempts: 1, result: resolveFromInquiry('Sale', notFound(), { indexesRequestId: true }) });
+  assert.equal(declined.ok, false);
+  assert.equal(declined.result.outcome, OUTCOME.DECLINED);
+
+  const unresolved = applyRecovery(inDoubt, { state: 'unresolved', attempts: 3, lastError: 'read-timeout' });
+  assert.equal(unresolved.ok, false);
+  assert.equal(unresolved.error, 'read-timeout');
+  assert.equal(unresolved.result.outcome, OUTCOME.UNKNOWN);
+  assert.deepEqual(unresolved.recovery, { state: 'unresolved', attempts: 3, lastError: 'read-timeout' });
+});
@@ -0,0 +1,115 @@
+// test/reversals.test.js
+'use strict';
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { STATE, createReversalQueue } = require('../server/reversals');
+
+const tmpDir = () => fs.mkdtempSync(path.join(os.tmpdir(), 'reversals-'));
+
+// Normalized Reversal responses (see result.js) as execute() would return them
+const UNREACHABLE = { ok: false, error: 'connect-timeout', result: {} };
+const REVERSED = { ok: true, requestId: '000901', result: { outcome: 'approved', transactionStatus: 'APPROVED' } };
+const DECLINED = { ok: true, requestId: '000902', result: { outcome: 'approved', transactionStatus: 'DECLINED' } };
+const NOT_FOUND = { ok: false, requestId: '000903', result: { outcome: 'error', errorCode: 'TXN001', errorMessage: 'Transaction not found' } };
+const REFUSED = { ok: false, requestId: '000904', result: { outcome: 'error', errorCode: 'E42', errorMessage: 'Reversal not allowed' } };
+
+// execute() answers with the scripted bodies in turn (a function body throws)
+function queue(dir, script, settings = {}) {
+  const updates = [];
+  const calls = [];
+  const q = createReversalQueue(dir, {
+    settings: () => ({ graceMs: 0, retryMs: 60000, maxAttempts: 3, ...settings }),
+    execute: async (item, opts) => {
+      calls.push({ requestId: item.requestId, ...opts });
+      const next = script.shift();
+      if (typeof next === 'function') next();
+      return next;
+    },
+    onUpdate: (item) => updates.push(item),
+  });
+  return { q, updates, calls };
+}
+
+const sale = (requestId, extra = {}) => ({
+  requestId, command: 'Sale', ip: '10.0.0.5', port: 8081, altPort: 8080, ecrId: 13, timeouts: {}, sentAt: new Date().toISOString(), ...extra,
+});
+
+test('due in the lane: the first attempt runs right away and an approved Reversal settles it', async () => {
+  const { q, updates, calls } = queue(tmpDir(), [REVERSED]);
+  const item = await q.open(sale('000100'), { inLane: true });
+  assert.equal(item.state, STATE.REVERSED);
+  assert.equal(item.attempts, 1);
+  assert.equal(item.reversalRequestId, '000901');
+  assert.equal(item.nextAttemptAt, null);
+  assert.equal(item.timeouts, undefined, 'timeouts stay internal');
+  assert.deepEqual(calls, [{ requestId: '000100', inLane: true }]);
+  assert.equal(updates.length, 1);
+  assert.deepEqual(await q.open(sale('000100'), { inLane: true }), { ...item, inFlight: false }, 'opening twice keeps the first');
+});
+
+test('within the grace period nothing is sent until it is due or retried by hand', async () => {
+  const { q, calls } = queue(tmpDir(), [REVERSED], { graceMs: 3600000 });
+  assert.equal((await q.open(sale('000101'), { inLane: true })).state, STATE.PENDING);
+  await q.retry('10.0.0.5', 8081);
+  assert.equal(calls.length, 0);
+  assert.equal((await q.retryOne('000101')).state, STATE.REVERSED);
+  assert.equal(await q.retryOne('999999'), null);
+});
+
+test('an unreachable terminal backs off by retryMs and fails once maxAttempts are used up', async () => {
+  const { q, updates } = queue(tmpDir(), [UNREACHABLE, () => { throw new Error('socket hang up'); }, UNREACHABLE]);
+  const before = Date.now();
+  const first = await q.open(sale('000102'), { inLane: true });
+  assert.equal(first.state, STATE.PENDING);
+  assert.equal(first.lastError, 'connect-timeout');
+  assert.ok(Date.parse(first.nextAttemptAt) >= before + 60000);
+
+  await q.retry('10.0.0.5', 8082); // another terminal came back: not ours
+  assert.equal(q.get('000102').attempts, 1);
+  await q.retry('10.0.0.5', 8081); // ours is reachable again: no need to wait out the backoff
+  assert.equal(q.get('000102').lastError, 'socket hang up');
+  assert.equal(q.get('000102').state, STATE.PENDING);
+  await q.retry('10.0.0.5', 8081);
+
+  const last = q.get('000102');
+  assert.equal(last.state, STATE.FAILED);
+  assert.equal(last.attempts, 3);
+  assert.equal(last.nextAttemptAt, null);
+  assert.deepEqual(updates.map(u => u.state), [STATE.PENDING, STATE.PENDING, STATE.FAILED]);
+  await q.retry('10.0.0.5', 8081);
+  assert.equal(q.get('000102').attempts, 3, 'a failed reversal is left for manual follow-up');
+});
+
+test('a declined original needs no reversal; a refused Reversal fails with the terminal message', async () => {
+  const { q } = queue(tmpDir(), [DECLINED, REFUSED]);
+  assert.equal((await q.open(sale('000103'), { inLane: true })).state, STATE.NOT_NEEDED);
+  const refused = await q.open(sale('000104'), { inLane: true });
+  assert.equal(refused.state, STATE.FAILED);
+  assert.equal(refused.lastError, 'Reversal not allowed');
+});
+
+test('"not found" proves nothing was charged only on terminals that index requestIds', async () => {
+  const { q } = queue(tmpDir(), [NOT_FOUND, NOT_FOUND]);
+  const indexed = await q.open(sale('000105', { indexesRequestId: true }), { inLane: true });
+  assert.equal(indexed.state, STATE.NOT_NEEDED);
+  assert.equal(indexed.lastError, null);
+
+  const unindexed = await q.open(sale('000106'), { inLane: true });
+  assert.equal(unindexed.state, STATE.FAILED);
+  assert.match(unindexed.lastError, /not known to keep requestIds/);
+});
+
+test('pending reversals survive a restart and are listed newest first', async () => {
+  const dir = tmpDir();
+  const first = queue(dir, [UNREACHABLE, REVERSED]);
+  await first.q.open(sale('000107'), { inLane: true });
+  await first.q.open(sale('000108'), { inLane: true });
+
+  const { q } = queue(dir, [REVERSED]);
+  assert.deepEqual(q.list().map(i => [i.requestId, i.state]), [['000108', STATE.REVERSED], ['000107', STATE.PENDING]]);
+  assert.deepEqual(q.list({ state: STATE.PENDING }).map(i => i.requestId), ['000107']);
+  assert.equal((await q.retryOne('000107')).state, STATE.REVERSED);
+});
@@ -0,0 +1,123 @@
+// test/schemas.test.js
+'use strict';
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { SCHEMAS, validateCommand, amountFields } = require('../server/schemas');
+
+const fields = (errors) => errors.map(e => e.field);
+
+test('a valid Sale passes', () => {
+  const errors = validateCommand('Sale', {
+    params: { clerkId: '12' },
+    transaction: { baseAmount: '10.00', tipAmount: 2, invoiceNbr: 'INV-1', allowPartialAuth: '1' },
+    lodging: { folioNumber: 'F100', stayDuration: 2, checkInDate: '02282024', checkOutDate: '03012024' },
+  });
+  assert.deepEqual(errors, []);
+});
+
+test('required blocks and fields are reported by path', () => {
+  assert.deepEqual(validateCommand('Sale', {}), [{ field: 'transaction', message: 'is required' }]);
+  // An empty string is a value (as in any JSON Schema validator), just not a valid one
+  assert.deepEqual(validateCommand('Sale', { transaction: { baseAmount: '' } }), [{ field: 'transaction.baseAmount', message: 'must be a decimal amount' }]);
+  assert.deepEqual(fields(validateCommand('Sale', { transaction: { baseAmount: '1.00' }, params: { cardType: '' } })), ['params.cardType']);
+});
+
+test('amounts are checked against the configured minor units', () => {
+  assert.deepEqual(fields(validateCommand('Sale', { transaction: { baseAmount: '1.005' } })), ['transaction.baseAmount']);
+  assert.deepEqual(validateCommand('Sale', { transaction: { baseAmount: '1.005' } }, { minorUnits: 3 }), []);
+  assert.match(validateCommand('Sale', { transaction: { baseAmount: '0' } })[0].message, /greater than 0/);
+  assert.match(validateCommand('Sale', { transaction: { baseAmount: '1', tipAmount: '-1' } })[0].message, /negative/);
+  assert.match(validateCommand('Sale', { transaction: { baseAmount: true } })[0].message, /type string or number/);
+});
+
+test('patterns, enums, lengths and dates', () => {
+  const errors = validateCommand('Sale', {
+    params: { clerkId: 'abc', cardAcquisition: 'KEYED' },
+    transaction: { baseAmount: '1.00', taxIndicator: 3 },
+    lodging: { checkInDate: '02302024', stayDuration: 100 },
+  });
+  assert.deepEqual(fields(errors).sort(), ['lodging.checkInDate', 'lodging.stayDuration', 'params.cardAcquisition', 'params.clerkId', 'transaction.taxIndicator']);
+  assert.match(validateCommand('PreAuth', { transaction: { amount: '1' }, params: { cardType: 'x'.repeat(21) } })[0].message, /at most 20 characters/);
+});
+
+test('oneOf: exactly one of tranNo / referenceNumber', () => {
+  assert.deepEqual(validateCommand('Void', { transaction: { tranNo: '5' } }), []);
+  assert.deepEqual(validateCommand('Void', { transaction: { referenceNumber: 'R5' } }), []);
+  assert.match(validateCommand('Void', { transaction: {} })[0].message, /either tranNo or referenceNumber/);
+  assert.match(validateCommand('Void', { transaction: { tranNo: '5', referenceNumber: 'R5' } })[0].message, /either tranNo or referenceNumber/);
+});
+
+test('not / anyOf combinations', () => {
+  assert.deepEqual(validateCommand('Refund', { transaction: { totalAmount: '5.00' } }), []);
+  assert.match(validateCommand('Refund', { transaction: { totalAmount: '5.00', tranNo: '1', referenceNumber: '2' } })[0].message, /mutually exclusive/);
+  assert.deepEqual(validateCommand('StatusInquiry', { transaction: { requestId: '000123' } }), []);
+  assert.match(validateCommand('StatusInquiry', { transaction: {} })[0].message, /Provide tranNo/);
+});
+
+test('a keyed sale refuses cash back', () => {
+  assert.deepEqual(validateCommand('ManualSale', { transaction: { baseAmount: '10.00', tipAmount: '1.00' } }), []);
+  assert.deepEqual(validateCommand('ManualSale', { transaction: { baseAmount: '10.00', cashBackAmount: '20.00' } }), [
+    { field: 'transaction', message: 'No cashBackAmount on a keyed sale: cash back needs the card present' },
+  ]);
+});
+
+test('batch close takes the same params as the transaction routes', () => {
+  assert.deepEqual(validateCommand('EODProcessing', { params: { clerkId: '7' } }), []);
+  assert.deepEqual(fields(validateCommand('EODProcessing', { params: { clerkId: 'x7' } })), ['params.clerkId']);
+});
+
+test('unknown commands and missing blocks pass through', () => {
+  assert.deepEqual(validateCommand('SomethingNew', { transaction: { anything: 'goes' } }), []);
+  assert.deepEqual(validateCommand('Ping', { params: undefined, transaction: undefined }), []);
+});
+
+test('amountFields lists the money-carrying fields per block', () => {
+  assert.deepEqual(amountFields('Sale'), {
+    transaction: ['baseAmount', 'tipAmount', 'taxAmount', 'cashBackAmount', 'totalAmount'],
+    lodging: ['dailyRate', 'extraChargeTotal'],
+  });
+  assert.deepEqual(amountFields('Void'), {});
+  assert.deepEqual(amountFields('Nope'), {});
+});
+
+test('every schema is plain JSON', () => {
+  assert.deepEqual(JSON.parse(JSON.stringify(SCHEMAS)), SCHEMAS);
+});
+
+test('the published schemas are valid draft-07 and a standard validator agrees with validateCommand', () => {
+  const Ajv = require('ajv');
+  // format is an annotation to other validators; 'amount' and 'mmddyyyy' get checked by validateCommand only
+  // strictRequired is an Ajv lint against oneOf: [{ required: [...] }] alternatives, which are plain draft-07
+  const ajv = new Ajv({ strict: true, strictRequired: false, allowUnionTypes: true, allErrors: true, formats: { amount: true, mmddyyyy: true } });
+  const compiled = Object.fromEntries(Object.entries(SCHEMAS).map(([command, schema]) => [command, ajv.compile(schema)]));
+
+  const samples = [
+    ['Sale', { transaction: { baseAmount: '10.00', tipAmount: 2 } }, true],
+    ['Sale', { transaction: { baseAmount: 5 }, params: { clerkId: 12 } }, true],
+    ['Sale', { transaction: { baseAmount: '0.00' } }, false],
+    ['Sale', { transaction: { baseAmount: 0 } }, false],
+    ['Sale', { transaction: { baseAmount: '' } }, false],
+    ['Sale', { transaction: { baseAmount: '1', tipAmount: -1 } }, false],
+    ['Sale', { transaction: { baseAmount: '1', tipAmount: '0' } }, true],
+    ['Sale', { transaction: { baseAmount: '1' }, params: { clerkId: 'abc' } }, false],
+    ['Sale', { transaction: { baseAmount: '1' }, params: { clerkId: -3 } }, false],
+    ['Sale', { transaction: { baseAmount: '1' }, params: { cardType: '' } }, false],
+    ['Sale', { transaction: { baseAmount: '1' }, lodging: { stayDuration: 100 } }, false],
+    ['Sale', { transaction: { baseAmount: '1' }, lodging: { stayDuration: '100' } }, false],
+    ['Sale', { transaction: { baseAmount: '1' }, lodging: { stayDuration: '7' } }, true],
+    ['Sale', { transaction: { baseAmount: '1', invoiceNbr: 42 } }, true],
+    ['Sale', { transaction: { baseAmount: '1', invoiceNbr: 'INV 42' } }, false],
+    ['Void', { transaction: { tranNo: '5' } }, true],
+    ['Void', { transaction: { tranNo: '5', referenceNumber: 'R5' } }, false],
+    ['Void', { transaction: {} }, false],
+    ['Refund', { transaction: { totalAmount: '5.00', tranNo: 1, referenceNumber: '2' } }, false],
+    ['ManualSale', { transaction: { baseAmount: '10.00', cashBackAmount: '20.00' } }, false],
+    ['StatusInquiry', { transaction: { requestId: '000123' } }, true],
+    ['StatusInquiry', { transaction: {} }, false],
+  ];
+  for (const [command, blocks, valid] of samples) {
+    const label = `${command} ${JSON.stringify(blocks)}`;
+    assert.equal(compiled[command](blocks), valid, `draft-07 validator on ${label}`);
+    assert.equal(validateCommand(command, blocks).length === 0, valid, `validateCommand on ${label}`);
+  }
+});
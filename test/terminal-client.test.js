@@ -0,0 +1,154 @@
+// test/terminal-client.test.js
+'use strict';
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const net = require('net');
+const { frameJson, FrameAccumulator } = require('../server/framing');
+const { createTerminalClient } = require('../server/terminal-client');
+const { OUTCOME, normalizeResponse } = require('../server/result');
+
+const SETTINGS = {
+  connectTimeoutMs: 1000, readTimeoutMs: 1500, idleByteTimeoutMs: 1500, ackTimeoutMs: 500, ackRetries: 0,
+  maxResponseBytes: 65536, multiMessageTimeoutMs: 1000,
+};
+
+// Fake terminal: ACKs the command, then plays back script(request) as [delayMs, frame] steps; a Buffer
+// step goes out as raw bytes. Resolves with the frames the agent sent it once the agent hangs up.
+function fakeTerminal(script) {
+  const received = [];
+  let finished;
+  const closed = new Promise(r => { finished = r; });
+  const server = net.createServer((sock) => {
+    sock.setNoDelay(true);
+    const frames = new FrameAccumulator((text) => {
+      const obj = JSON.parse(text);
+      received.push(obj);
+      if (obj.message !== 'MSG') return;
+      sock.write(frameJson({ message: 'ACK', data: '' }));
+      let at = 0;
+      for (const [delay, frame] of script(obj)) {
+        at += delay;
+        setTimeout(() => sock.destroyed || sock.write(Buffer.isBuffer(frame) ? frame : frameJson(frame)), at);
+      }
+    });
+    sock.on('data', (chunk) => frames.push(chunk));
+    sock.on('error', () => {});
+    sock.on('close', () => finished(received));
+  });
+  return new Promise(r => server.listen(0, '127.0.0.1', () => r({ port: server.address().port, closed, close: () => server.close() })));
+}
+
+function client() {
+  const journal = [];
+  const published = [];
+  const c = createTerminalClient({ settings: () => SETTINGS, journal: { append: (e) => journal.push(e) }, events: { publish: (e) => published.push(e) } });
+  return { ...c, journal, published };
+}
+
+const sale = (requestId) => ({ message: 'MSG', data: { command: 'Sale', EcrId: '13', requestId, data: { transaction: { baseAmount: '5.00' } } } });
+const saleReply = (requestId, tranNo) => ({
+  message: 'MSG', data: { requestId, EcrId: '13', response: 'Sale', cmdResult: { result: 'Success' }, host: { tranNo, responseCode: '00', amount: '5.00' } },
+});
+
+test('a stale reply with another requestId is ACKed and skipped; the real reply still ends the command', async () => {
+  const terminal = await fakeTerminal(() => [[50, saleReply('000041', '0099')], [300, saleReply('000042', '0100')]]);
+  const c = client();
+  const out = await c.send({ ip: '127.0.0.1', port: terminal.port, payload: sale('000042'), timeouts: {} });
+  const received = await terminal.closed;
+  terminal.close();
+
+  assert.equal(out.ok, true);
+  assert.equal(out.rsp.data.host.tranNo, '0100');
+  const body = normalizeResponse({ requestId: '000042', command: 'Sale', out });
+  assert.equal(body.result.outcome, OUTCOME.APPROVED);
+  assert.equal(body.result.tranNo, '0100');
+
+  assert.equal(received.filter(f => f.message === 'ACK').length, 2, 'both replies were ACKed');
+  const stale = c.journal.find(e => e.kind === 'unsolicited');
+  assert.equal(stale.reason, 'request-id-mismatch');
+  assert.equal(stale.data.data.host.tranNo, '0099');
+  assert.ok(c.published.some(e => e.type === 'unsolicited' && e.duringRequestId === '000042'));
+  assert.ok(out.log.some(e => /Ignoring Sale for requestId 000041/.test(e.msg)));
+});
+
+test('only a stale reply: the Sale times out in doubt instead of failing with the stale frame', async () => {
+  const terminal = await fakeTerminal(() => [[50, saleReply('000041', '0099')]]);
+  const c = client();
+  const out = await c.send({ ip: '127.0.0.1', port: terminal.port, payload: sale('000042'), timeouts: { read: 400, idle: 400 } });
+  await terminal.closed;
+  terminal.close();
+
+  assert.equal(out.ok, false);
+  assert.match(out.error, /-timeout$/);
+  assert.equal(out.rsp, undefined);
+  assert.equal(out.sent, true);
+  const body = normalizeResponse({ requestId: '000042', command: 'Sale', out });
+  assert.equal(body.result.outcome, OUTCOME.UNKNOWN);
+  assert.equal(body.result.tranNo, null);
+});
+
+// Raw pieces of a frame, each sent on its own a few ms apart
+const inPieces = (frame, size) => {
+  const bytes = frameJson(frame);
+  const steps = [];
+  for (let i = 0; i < bytes.length; i += size) steps.push([i ? 5 : 20, bytes.subarray(i, i + size)]);
+  return steps;
+};
+const listPart = (requestId, more, tranNos) => ({
+  message: 'MSG', data: { requestId, EcrId: '13', response: 'TransactionList', multipleMessage: more ? '1' : '0', transactions: tranNos.map(tranNo => ({ tranNo })) },
+});
+const transactionList = (requestId) => ({ message: 'MSG', data: { command: 'TransactionList', EcrId: '13', requestId, data: {} } });
+
+test('a reply that arrives split over many TCP segments is reassembled', async () => {
+  const terminal = await fakeTerminal(() => inPieces(saleReply('000042', '0100'), 7));
+  const c = client();
+  const out = await c.send({ ip: '127.0.0.1', port: terminal.port, payload: sale('000042'), timeouts: {} });
+  const received = await terminal.closed;
+  terminal.close();
+
+  assert.equal(out.ok, true);
+  assert.equal(out.rsp.data.host.tranNo, '0100');
+  assert.ok(out.log.filter(e => e.type === 'recv-bytes').length > 1, 'came in more than one chunk');
+  assert.equal(received.filter(f => f.message === 'ACK').length, 1);
+});
+
+test('parts of a multi-message reply interleaved with progress and unrelated frames still merge in order', async () => {
+  const terminal = await fakeTerminal(() => [
+    [50, listPart('000050', true, ['1', '2'])],
+    [20, { message: 'EVT', data: { event: 'PRINTING' } }],
+    [20, listPart('000049', false, ['99'])], // stale reply to an earlier list
+    [20, { message: 'MSG', data: { response: 'SystemReady' } }],
+    ...inPieces(listPart('000050', true, ['3']), 11),
+    [20, listPart('000050', false, ['4'])],
+  ]);
+  const c = client();
+  const out = await c.send({ ip: '127.0.0.1', port: terminal.port, payload: transactionList('000050'), timeouts: {} });
+  const received = await terminal.closed;
+  terminal.close();
+
+  assert.equal(out.ok, true);
+  assert.equal(out.parts.length, 3);
+  assert.deepEqual(out.rsp.data.transactions.map(t => t.tranNo), ['1', '2', '3', '4']);
+  assert.equal(out.rsp.data.multipleMessage, '0');
+  assert.equal(received.filter(f => f.message === 'ACK').length, 5, 'every MSG ACKed, ours or not');
+  assert.deepEqual(c.journal.filter(e => e.kind === 'unsolicited').map(e => e.reason ?? null), ['request-id-mismatch', null]);
+  assert.equal(c.journal.filter(e => e.kind === 'progress').length, 1);
+});
+
+test('a multi-message reply whose last part never comes ends with what arrived', async () => {
+  const terminal = await fakeTerminal(() => [[50, listPart('000051', true, ['1'])], [50, listPart('000051', true, ['2'])]]);
+  const c = client();
+  const started = Date.now();
+  const out = await c.send({ ip: '127.0.0.1', port: terminal.port, payload: transactionList('000051'), timeouts: { read: 5000, idle: 5000 } });
+  await terminal.closed;
+  terminal.close();
+
+  assert.equal(out.ok, false);
+  assert.equal(out.error, 'multi-message-timeout');
+  assert.ok(Date.now() - started < 3000, 'gave up after multiMessageTimeoutMs, not the read timeout');
+  assert.equal(out.parts.length, 2);
+  assert.deepEqual(out.rsp.data.transactions.map(t => t.tranNo), ['1', '2']);
+  const error = c.journal.find(e => e.kind === 'error');
+  assert.equal(error.data, 'multi-message-timeout');
+  assert.equal(error.rsp.data.transactions.length, 2);
+});
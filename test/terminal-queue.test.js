@@ -0,0 +1,35 @@
+// test/terminal-queue.test.js
+'use strict';
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createTerminalQueue } = require('../server/terminal-queue');
+
+const deferred = () => { let resolve; const promise = new Promise(r => { resolve = r; }); return { promise, resolve }; };
+
+test('a background Ping never shows the lane as busy; a command arriving meanwhile runs right after it', async () => {
+  const q = createTerminalQueue();
+  const ping = deferred();
+  const order = [];
+  const pinged = q.runIdle('10.0.0.5', 8081, async () => { await ping.promise; order.push('ping'); return { ok: true }; });
+
+  assert.deepEqual(q.status('10.0.0.5', 8081), { busy: false, activeRequestId: null, queued: 0, queuedRequestIds: [] });
+  const sale = q.run('10.0.0.5', 8081, '000042', async () => { order.push('sale'); return 'approved'; });
+  ping.resolve();
+
+  assert.deepEqual(await pinged, { ok: true });
+  assert.equal(await sale, 'approved');
+  assert.deepEqual(order, ['ping', 'sale']);
+});
+
+test('a background Ping is skipped while a command is in flight or queued', async () => {
+  const q = createTerminalQueue();
+  const sale = deferred();
+  const running = q.run('10.0.0.5', 8081, '000042', () => sale.promise);
+  let ran = false;
+  assert.equal(await q.runIdle('10.0.0.5', 8081, async () => { ran = true; }), null);
+  assert.equal(ran, false);
+  assert.equal(q.status('10.0.0.5', 8081).activeRequestId, '000042');
+  sale.resolve('done');
+  await running;
+  assert.equal(await q.runIdle('10.0.0.5', 8081, async () => 'pinged'), 'pinged');
+});